@@ -25,6 +25,9 @@ import commentRouter from "./routes/comment.routes.js"
 import likeRouter from "./routes/like.routes.js"
 import playlistRouter from "./routes/playlist.routes.js"
 import dashboardRouter from "./routes/dashboard.routes.js"
+import searchRouter from "./routes/search.routes.js"
+import feedRouter from "./routes/feed.routes.js"
+import mediaRouter from "./routes/media.routes.js"
 
 //routes declaration
 app.use("/api/v1/healthcheck", healthcheckRouter)
@@ -36,6 +39,9 @@ app.use("/api/v1/comments", commentRouter)
 app.use("/api/v1/likes", likeRouter)
 app.use("/api/v1/playlist", playlistRouter)
 app.use("/api/v1/dashboard", dashboardRouter)
+app.use("/api/v1/search", searchRouter)
+app.use("/api/v1/feed", feedRouter)
+app.use("/media", mediaRouter)
 
 
 // global error handler
@@ -1 +1,54 @@
-export const DB_NAME = "vidtube"
\ No newline at end of file
+export const DB_NAME = "vidtube"
+
+// Personal access tokens (API clients, upload scripts ...)
+export const PERSONAL_ACCESS_TOKEN_PREFIX = "vtp_"
+
+export const PERSONAL_ACCESS_TOKEN_SCOPES = [
+  "profile:read",
+  "videos:read",
+  "videos:write",
+  "comments:read",
+  "comments:write",
+  "likes:read",
+  "likes:write",
+  "playlists:read",
+  "playlists:write",
+  "tweets:read",
+  "tweets:write",
+  "subscriptions:read",
+  "subscriptions:write",
+  "dashboard:read",
+]
+
+// Roles, see utils/policy.js for what each one may do
+export const USER_ROLES = {
+  USER: "user",
+  MODERATOR: "moderator",
+  ADMIN: "admin",
+}
+
+// Who can see a video, see utils/videoVisibility.js
+export const VIDEO_VISIBILITY = {
+  PUBLIC: "public",     // listed everywhere
+  UNLISTED: "unlisted", // anyone with the id, never listed
+  PRIVATE: "private",   // owner + sharedWith only
+}
+
+// Fixed category taxonomy, a video has at most one
+export const VIDEO_CATEGORIES = [
+  "autos-vehicles",
+  "comedy",
+  "education",
+  "entertainment",
+  "film-animation",
+  "gaming",
+  "howto-style",
+  "music",
+  "news-politics",
+  "nonprofits-activism",
+  "people-blogs",
+  "pets-animals",
+  "science-technology",
+  "sports",
+  "travel-events",
+]
@@ -1,9 +1,25 @@
 import mongoose from "mongoose"
 import { Comment } from "../models/comment.model.js"
+import { Video } from "../models/video.model.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
 import { isValidObjectId } from "mongoose"
+import { authorize } from "../utils/policy.js"
+import { canViewVideo } from "../utils/videoVisibility.js"
+
+// comments are as visible as their video, hidden ones look missing (like getVideoById)
+const assertVideoViewable = async (videoId, user) => {
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id")
+  }
+
+  const video = await Video.findById(videoId).select("owner visibility sharedWith")
+
+  if (!video || !canViewVideo(user, video)) {
+    throw new ApiError(404, "Video not found")
+  }
+}
 
 /* ======================================================
    GET VIDEO COMMENTS
@@ -14,9 +30,7 @@ const getVideoComments = asyncHandler(async (req, res) => {
   const { videoId } = req.params
   const { page = 1, limit = 10 } = req.query
 
-  if (!isValidObjectId(videoId)) {
-    throw new ApiError(400, "Invalid video id")
-  }
+  await assertVideoViewable(videoId, req.user)
 
   const comments = await Comment.aggregate([
     {
@@ -75,6 +89,8 @@ const addComment = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Comment content required")
   }
 
+  await assertVideoViewable(videoId, req.user)
+
   const comment = await Comment.create({
     content,
     video: videoId,
@@ -105,9 +121,7 @@ const updateComment = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Comment not found")
   }
 
-  if (comment.owner.toString() !== req.user._id.toString()) {
-    throw new ApiError(403, "Not allowed")
-  }
+  authorize(req.user, "comment:update", comment)
 
   comment.content = content
   await comment.save()
@@ -131,9 +145,8 @@ const deleteComment = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Comment not found")
   }
 
-  if (comment.owner.toString() !== req.user._id.toString()) {
-    throw new ApiError(403, "Not allowed")
-  }
+  // owner, moderators and admins
+  authorize(req.user, "comment:delete", comment)
 
   await Comment.findByIdAndDelete(commentId)
 
@@ -2,8 +2,11 @@ import mongoose from "mongoose"
 import { Video } from "../models/video.model.js"
 import { Subscription } from "../models/subscription.model.js"
 import { Like } from "../models/like.model.js"
+import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
+import { VIDEO_VISIBILITY } from "../constants.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
+import { withVideoMediaUrls } from "../utils/videoMedia.js"
 
 /* ======================================================
    GET CHANNEL STATS
@@ -18,7 +21,7 @@ const getChannelStats = asyncHandler(async (req, res) => {
     owner: channelId
   })
 
-  // total views
+  // total views + video count per visibility
   const viewsAgg = await Video.aggregate([
     {
       $match: {
@@ -27,13 +30,27 @@ const getChannelStats = asyncHandler(async (req, res) => {
     },
     {
       $group: {
-        _id: null,
-        totalViews: { $sum: "$views" }
+        _id: "$visibility",
+        videos: { $sum: 1 },
+        views: { $sum: "$views" }
       }
     }
   ])
 
-  const totalViews = viewsAgg[0]?.totalViews || 0
+  const totalViews = viewsAgg.reduce((sum, group) => sum + group.views, 0)
+
+  const videosByVisibility = Object.fromEntries(
+    Object.values(VIDEO_VISIBILITY).map((visibility) => [
+      visibility,
+      viewsAgg.find((group) => group._id === visibility)?.videos || 0
+    ])
+  )
+
+  // waiting for their publishAt (counted as private above)
+  const scheduledVideos = await Video.countDocuments({
+    owner: channelId,
+    publishAt: { $ne: null }
+  })
 
   // total subscribers
   const totalSubscribers = await Subscription.countDocuments({
@@ -73,6 +90,8 @@ const getChannelStats = asyncHandler(async (req, res) => {
       200,
       {
         totalVideos,
+        videosByVisibility,
+        scheduledVideos,
         totalViews,
         totalSubscribers,
         totalLikes
@@ -89,15 +108,35 @@ const getChannelStats = asyncHandler(async (req, res) => {
 const getChannelVideos = asyncHandler(async (req, res) => {
 
   const channelId = req.user._id
+  const { visibility } = req.query
 
-  const videos = await Video.find({
-    owner: channelId
-  }).sort({ createdAt: -1 })
+  // the owner sees every video, optionally one visibility only
+  // ("scheduled" = not live yet, with publishAt + scheduledVisibility)
+  const filter = { owner: channelId }
+
+  if (visibility === "scheduled") {
+    filter.publishAt = { $ne: null }
+  } else if (visibility) {
+    if (!Object.values(VIDEO_VISIBILITY).includes(visibility)) {
+      throw new ApiError(400, "Invalid visibility")
+    }
+    filter.visibility = visibility
+  }
+
+  const videos = await Video.find(filter)
+    .sort({ createdAt: -1 })
+    .lean()
+
+  // private videos come with signed media urls
+  const channelVideos = videos.map((video) => ({
+    ...withVideoMediaUrls(video),
+    isScheduled: Boolean(video.publishAt)
+  }))
 
   return res.status(200).json(
     new ApiResponse(
       200,
-      videos,
+      channelVideos,
       "Channel videos fetched successfully"
     )
   )
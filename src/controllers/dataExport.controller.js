@@ -0,0 +1,104 @@
+import { isValidObjectId } from "mongoose"
+import { DataExport } from "../models/dataExport.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { processPendingDataExports } from "../jobs/dataExport.job.js"
+
+/* ======================================================
+   REQUEST EXPORT
+====================================================== */
+
+const requestDataExport = asyncHandler(async (req, res) => {
+
+  // one export at a time per user
+  const inProgress = await DataExport.findOne({
+    user: req.user._id,
+    status: { $in: ["pending", "processing"] }
+  })
+
+  if (inProgress) {
+    return res.status(202).json(
+      new ApiResponse(202, inProgress, "Export already in progress")
+    )
+  }
+
+  // built in the background (small ones are ready within seconds),
+  // client polls the status endpoint
+  const dataExport = await DataExport.create({ user: req.user._id })
+
+  setImmediate(() => {
+    processPendingDataExports().catch((error) =>
+      console.log("Data export failed", error)
+    )
+  })
+
+  return res.status(202).json(
+    new ApiResponse(202, dataExport, "Data export started")
+  )
+})
+
+/* ======================================================
+   EXPORT STATUS
+====================================================== */
+
+const getDataExportStatus = asyncHandler(async (req, res) => {
+
+  const { exportId } = req.params
+
+  if (!isValidObjectId(exportId)) {
+    throw new ApiError(400, "Invalid export id")
+  }
+
+  const dataExport = await DataExport.findOne({
+    _id: exportId,
+    user: req.user._id
+  })
+
+  if (!dataExport) {
+    throw new ApiError(404, "Export not found")
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, dataExport, "Export status fetched successfully")
+  )
+})
+
+/* ======================================================
+   DOWNLOAD EXPORT
+====================================================== */
+
+const downloadDataExport = asyncHandler(async (req, res) => {
+
+  const { exportId } = req.params
+
+  if (!isValidObjectId(exportId)) {
+    throw new ApiError(400, "Invalid export id")
+  }
+
+  const dataExport = await DataExport.findOne({
+    _id: exportId,
+    user: req.user._id
+  }).select("+filePath")
+
+  if (!dataExport) {
+    throw new ApiError(404, "Export not found")
+  }
+
+  if (dataExport.status !== "ready") {
+    throw new ApiError(409, "Export is not ready yet")
+  }
+
+  return res.download(
+    dataExport.filePath,
+    `vidtube-export-${req.user.username}.zip`
+  )
+})
+
+/* ====================================================== */
+
+export {
+  requestDataExport,
+  getDataExportStatus,
+  downloadDataExport
+}
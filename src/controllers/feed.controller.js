@@ -0,0 +1,181 @@
+import mongoose, { isValidObjectId } from "mongoose"
+import { Video } from "../models/video.model.js"
+import { Tweet } from "../models/tweet.model.js"
+import { User } from "../models/user.model.js"
+import { Subscription } from "../models/subscription.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { listedVideoMatch } from "../utils/videoVisibility.js"
+import { withVideoMediaUrls } from "../utils/videoMedia.js"
+
+/*
+  Subscription feed: videos (by publishedAt) and tweets (by createdAt)
+  of every subscribed, not muted channel, newest first.
+
+  Each type is read with `owner $in channels` + a sort on the
+  { owner, date } index. MongoDB only merges the per-channel index ranges
+  (and stops after `limit + 1` documents) for an $in of up to 200 values,
+  above that it sorts in memory, so the channels are queried in batches
+  of FEED_CHANNEL_BATCH_SIZE and the batches merged here.
+
+  The cursor is the (date, _id) of the last item returned, the next page
+  continues strictly after it, so new uploads never shift the pages.
+*/
+
+const FEED_DEFAULT_LIMIT = 20
+const FEED_MAX_LIMIT = 50
+const FEED_CHANNEL_BATCH_SIZE = 200
+
+const encodeCursor = (date, id) =>
+  Buffer.from(`${new Date(date).getTime()}_${id}`).toString("base64url")
+
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(String(cursor), "base64url").toString().split("_")
+  const date = new Date(Number(time))
+
+  if (!time || Number.isNaN(date.getTime()) || !isValidObjectId(id)) {
+    throw new ApiError(400, "Invalid cursor")
+  }
+
+  return { date, id: new mongoose.Types.ObjectId(id) }
+}
+
+// documents after the cursor in (date desc, _id desc) order
+const afterCursor = (dateField, cursor) => {
+  if (!cursor) return {}
+
+  return {
+    $or: [
+      { [dateField]: { $lt: cursor.date } },
+      { [dateField]: cursor.date, _id: { $lt: cursor.id } }
+    ]
+  }
+}
+
+const newestFirst = (a, b) =>
+  b.publishedAt - a.publishedAt || b._id.toString().localeCompare(a._id.toString())
+
+const toBatches = (values, size) =>
+  Array.from({ length: Math.ceil(values.length / size) }, (_, index) =>
+    values.slice(index * size, (index + 1) * size)
+  )
+
+// runs findNewest(batch) for every batch of channels, returns all results merged
+const findAcrossChannels = async (channelIds, findNewest) => {
+  const results = await Promise.all(
+    toBatches(channelIds, FEED_CHANNEL_BATCH_SIZE).map((batch) => findNewest(batch))
+  )
+
+  return results.flat()
+}
+
+/* ======================================================
+   GET SUBSCRIPTION FEED
+====================================================== */
+
+const getSubscriptionFeed = asyncHandler(async (req, res) => {
+
+  const { cursor } = req.query
+  const limit = Math.min(
+    Math.max(Number(req.query.limit) || FEED_DEFAULT_LIMIT, 1),
+    FEED_MAX_LIMIT
+  )
+
+  const after = cursor ? decodeCursor(cursor) : null
+
+  const channelIds = await Subscription.find({
+    subscriber: req.user._id,
+    muted: { $ne: true }
+  }).distinct("channel")
+
+  if (!channelIds.length) {
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        { items: [], nextCursor: null, hasMore: false },
+        "Feed fetched successfully"
+      )
+    )
+  }
+
+  // one more than needed from each batch, to know if there is a next page
+  const [videos, tweets] = await Promise.all([
+    findAcrossChannels(channelIds, (batch) =>
+      Video.find({
+        owner: { $in: batch },
+        ...listedVideoMatch(),
+        processingStatus: "ready",
+        publishedAt: { $ne: null },
+        ...afterCursor("publishedAt", after)
+      })
+        .sort({ publishedAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .select(
+          "title description thumbnail thumbnailPublicId thumbnailSizes mediaAccess " +
+          "duration views owner publishedAt"
+        )
+        .lean()
+    ),
+
+    findAcrossChannels(channelIds, (batch) =>
+      Tweet.find({
+        owner: { $in: batch },
+        ...afterCursor("createdAt", after)
+      })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .lean()
+    )
+  ])
+
+  const merged = [
+    ...videos.map((video) => ({
+      _id: video._id,
+      type: "video",
+      publishedAt: video.publishedAt,
+      owner: video.owner,
+      video: withVideoMediaUrls(video)
+    })),
+    ...tweets.map((tweet) => ({
+      _id: tweet._id,
+      type: "tweet",
+      publishedAt: tweet.createdAt,
+      owner: tweet.owner,
+      tweet
+    }))
+  ].sort(newestFirst)
+
+  const items = merged.slice(0, limit)
+  const hasMore = merged.length > limit
+  const last = items[items.length - 1]
+
+  // channel info once per owner on the page
+  const owners = await User.find({ _id: { $in: items.map((item) => item.owner) } })
+    .select("username fullname avatar")
+    .lean()
+  const ownersById = new Map(owners.map((owner) => [owner._id.toString(), owner]))
+
+  for (const item of items) {
+    item.owner = ownersById.get(item.owner.toString()) || null
+    delete item[item.type].owner
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        items,
+        nextCursor: hasMore ? encodeCursor(last.publishedAt, last._id) : null,
+        hasMore
+      },
+      "Feed fetched successfully"
+    )
+  )
+})
+
+/* ====================================================== */
+
+export {
+  getSubscriptionFeed
+}
@@ -1,9 +1,11 @@
-import mongoose, { isValidObjectId } from "mongoose"
+import { isValidObjectId } from "mongoose"
 import { Like } from "../models/like.model.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
 import { Video } from "../models/video.model.js"
+import { viewableVideoMatch } from "../utils/videoVisibility.js"
+import { withVideoMediaUrls } from "../utils/videoMedia.js"
 
 /* ======================================================
    TOGGLE VIDEO LIKE
@@ -119,50 +121,14 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
 
 const getLikedVideos = asyncHandler(async (req, res) => {
 
-  const likedVideos = await Like.aggregate([
-    {
-      $match: {
-        likedBy: new mongoose.Types.ObjectId(req.user._id),
-        video: { $ne: null }
-      }
-    },
-    {
-      $lookup: {
-        from: "videos",
-        localField: "video",
-        foreignField: "_id",
-        as: "video",
-        pipeline: [
-          {
-            $lookup: {
-              from: "users",
-              localField: "owner",
-              foreignField: "_id",
-              as: "owner",
-              pipeline: [
-                {
-                  $project: {
-                    username: 1,
-                    avatar: 1
-                  }
-                }
-              ]
-            }
-          },
-          {
-            $addFields: {
-              owner: { $first: "$owner" }
-            }
-          }
-        ]
-      }
-    },
-    {
-      $addFields: {
-        video: { $first: "$video" }
-      }
-    }
-  ])
+  const likes = await Like.findLikedVideos(req.user._id, {
+    videoMatch: viewableVideoMatch(req.user)
+  })
+
+  const likedVideos = likes.map((like) => ({
+    ...like,
+    video: withVideoMediaUrls(like.video)
+  }))
 
   return res.status(200).json(
     new ApiResponse(
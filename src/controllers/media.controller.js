@@ -0,0 +1,40 @@
+import fs from "fs"
+import { ApiError } from "../utils/ApiError.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { getStorage } from "../utils/storage.js"
+
+/* ======================================================
+   PRIVATE MEDIA (local storage, signed /media urls)
+====================================================== */
+
+const getPrivateMediaFile = asyncHandler(async (req, res) => {
+
+  const storage = getStorage()
+
+  // Cloudinary serves (and checks) its own signed urls
+  if (!storage.resolveSignedPath) {
+    throw new ApiError(404, "File not found")
+  }
+
+  const publicId = req.params.publicId.join("/")
+  const filePath = storage.resolveSignedPath(publicId, req.query)
+
+  if (!filePath) {
+    throw new ApiError(403, "Invalid or expired link")
+  }
+
+  // made public since the url was signed
+  if (!fs.existsSync(filePath)) {
+    throw new ApiError(404, "File not found")
+  }
+
+  res.set("Cache-Control", "private")
+
+  return res.sendFile(filePath, { cacheControl: false })
+})
+
+/* ====================================================== */
+
+export {
+  getPrivateMediaFile
+}
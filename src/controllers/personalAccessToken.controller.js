@@ -0,0 +1,115 @@
+import { isValidObjectId } from "mongoose"
+import { PersonalAccessToken } from "../models/personalAccessToken.model.js"
+import {
+  PERSONAL_ACCESS_TOKEN_PREFIX,
+  PERSONAL_ACCESS_TOKEN_SCOPES
+} from "../constants.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { generateToken, hashToken } from "../utils/token.js"
+
+/* ======================================================
+   CREATE TOKEN (plain token is only returned here)
+====================================================== */
+
+const createPersonalAccessToken = asyncHandler(async (req, res) => {
+
+  const { name, scopes, expiresInDays } = req.body
+
+  if (!name?.trim()) {
+    throw new ApiError(400, "Token name is required")
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ApiError(400, "At least one scope is required")
+  }
+
+  const unknownScopes = scopes.filter(
+    (scope) => !PERSONAL_ACCESS_TOKEN_SCOPES.includes(scope)
+  )
+
+  if (unknownScopes.length) {
+    throw new ApiError(400, `Unknown scopes: ${unknownScopes.join(", ")}`)
+  }
+
+  if (expiresInDays !== undefined && !(Number(expiresInDays) > 0)) {
+    throw new ApiError(400, "expiresInDays must be a positive number")
+  }
+
+  const token = `${PERSONAL_ACCESS_TOKEN_PREFIX}${generateToken()}`
+
+  const personalAccessToken = await PersonalAccessToken.create({
+    user: req.user._id,
+    name: name.trim(),
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, PERSONAL_ACCESS_TOKEN_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000)
+      : null
+  })
+
+  const data = personalAccessToken.toObject()
+  delete data.tokenHash
+
+  return res.status(201).json(
+    new ApiResponse(
+      201,
+      { ...data, token },
+      "Token created, copy it now, it won't be shown again"
+    )
+  )
+})
+
+/* ======================================================
+   LIST TOKENS
+====================================================== */
+
+const getPersonalAccessTokens = asyncHandler(async (req, res) => {
+
+  const tokens = await PersonalAccessToken.find({
+    user: req.user._id,
+    revokedAt: null
+  })
+    .select("-tokenHash")
+    .sort({ createdAt: -1 })
+
+  return res.status(200).json(
+    new ApiResponse(200, tokens, "Tokens fetched successfully")
+  )
+})
+
+/* ======================================================
+   REVOKE TOKEN
+====================================================== */
+
+const revokePersonalAccessToken = asyncHandler(async (req, res) => {
+
+  const { tokenId } = req.params
+
+  if (!isValidObjectId(tokenId)) {
+    throw new ApiError(400, "Invalid token id")
+  }
+
+  const token = await PersonalAccessToken.findOneAndUpdate(
+    { _id: tokenId, user: req.user._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  )
+
+  if (!token) {
+    throw new ApiError(404, "Token not found")
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, {}, "Token revoked successfully")
+  )
+})
+
+/* ====================================================== */
+
+export {
+  createPersonalAccessToken,
+  getPersonalAccessTokens,
+  revokePersonalAccessToken
+}
@@ -3,6 +3,9 @@ import { Playlist } from "../models/playlist.model.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
+import { authorize } from "../utils/policy.js"
+import { viewableVideoMatch } from "../utils/videoVisibility.js"
+import { withVideoMediaUrls } from "../utils/videoMedia.js"
 
 /* ======================================================
    CREATE PLAYLIST
@@ -59,15 +62,26 @@ const getPlaylistById = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid playlist id")
   }
 
+  // Videos the viewer may not see are left out
   const playlist = await Playlist.findById(playlistId)
-    .populate("videos")
+    .populate({
+      path: "videos",
+      match: viewableVideoMatch(req.user),
+      select: "-sharedWith"
+    })
 
   if (!playlist) {
     throw new ApiError(404, "Playlist not found")
   }
 
+  const videos = playlist.videos.map((video) => withVideoMediaUrls(video.toObject()))
+
   return res.status(200).json(
-    new ApiResponse(200, playlist, "Playlist fetched successfully")
+    new ApiResponse(
+      200,
+      { ...playlist.toObject(), videos },
+      "Playlist fetched successfully"
+    )
   )
 })
 
@@ -89,9 +103,7 @@ const addVideoToPlaylist = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Playlist not found")
   }
 
-  if (playlist.owner.toString() !== req.user._id.toString()) {
-    throw new ApiError(403, "Not allowed")
-  }
+  authorize(req.user, "playlist:update", playlist)
 
   if (playlist.videos.includes(videoId)) {
     throw new ApiError(400, "Video already in playlist")
@@ -119,9 +131,7 @@ const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Playlist not found")
   }
 
-  if (playlist.owner.toString() !== req.user._id.toString()) {
-    throw new ApiError(403, "Not allowed")
-  }
+  authorize(req.user, "playlist:update", playlist)
 
   playlist.videos = playlist.videos.filter(
     (vid) => vid.toString() !== videoId
@@ -148,9 +158,7 @@ const deletePlaylist = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Playlist not found")
   }
 
-  if (playlist.owner.toString() !== req.user._id.toString()) {
-    throw new ApiError(403, "Not allowed")
-  }
+  authorize(req.user, "playlist:delete", playlist)
 
   await Playlist.findByIdAndDelete(playlistId)
 
@@ -174,9 +182,7 @@ const updatePlaylist = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Playlist not found")
   }
 
-  if (playlist.owner.toString() !== req.user._id.toString()) {
-    throw new ApiError(403, "Not allowed")
-  }
+  authorize(req.user, "playlist:update", playlist)
 
   if (name) playlist.name = name
   if (description) playlist.description = description
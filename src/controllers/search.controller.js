@@ -0,0 +1,238 @@
+import { Video } from "../models/video.model.js"
+import { User } from "../models/user.model.js"
+import { Playlist } from "../models/playlist.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { listedVideoMatch } from "../utils/videoVisibility.js"
+import { withVideoMediaUrls } from "../utils/videoMedia.js"
+
+/*
+  Full-text search over videos, channels and playlists (text indexes
+  on each model). Results of all types are ranked together:
+
+    score = textScore * type weight * popularity * recency
+
+  popularity = 1 + log10(1 + views) (videos only)
+  recency    = 1 / (1 + age / SEARCH_RECENCY_DAYS), 1 today, 0.5 after 30 days
+*/
+
+const SEARCH_TYPES = ["video", "channel", "playlist"]
+const SEARCH_TYPE_WEIGHTS = { video: 1, channel: 1.5, playlist: 0.8 }
+const SEARCH_RECENCY_DAYS = 30
+const MAX_QUERY_LENGTH = 100
+const MAX_LIMIT = 50
+const MAX_RESULTS = 1000
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const textScore = (type) => ({
+  $multiply: [{ $meta: "textScore" }, SEARCH_TYPE_WEIGHTS[type]]
+})
+
+const popularityBoost = (field) => ({
+  $add: [1, { $log10: { $add: [1, { $ifNull: [field, 0] }] } }]
+})
+
+const recencyBoost = (field) => ({
+  $divide: [
+    1,
+    {
+      $add: [
+        1,
+        { $divide: [{ $subtract: ["$$NOW", field] }, SEARCH_RECENCY_DAYS * DAY_MS] }
+      ]
+    }
+  ]
+})
+
+// per type: the model and the stages producing its typed, scored results
+const searchSources = {
+  video: {
+    model: Video,
+    stages: (search) => [
+      {
+        $match: {
+          $text: { $search: search },
+          ...listedVideoMatch(),
+          processingStatus: { $nin: ["processing", "failed"] }
+        }
+      },
+      {
+        $project: {
+          type: { $literal: "video" },
+          title: 1,
+          description: 1,
+          thumbnail: 1,
+          thumbnailPublicId: 1,
+          thumbnailSizes: 1,
+          mediaAccess: 1,
+          duration: 1,
+          views: 1,
+          tags: 1,
+          category: 1,
+          owner: 1,
+          createdAt: 1,
+          score: {
+            $multiply: [
+              textScore("video"),
+              popularityBoost("$views"),
+              recencyBoost("$createdAt")
+            ]
+          }
+        }
+      }
+    ]
+  },
+
+  channel: {
+    model: User,
+    stages: (search) => [
+      {
+        $match: {
+          $text: { $search: search },
+          deletionScheduledFor: null
+        }
+      },
+      {
+        $project: {
+          type: { $literal: "channel" },
+          username: 1,
+          fullname: 1,
+          avatar: 1,
+          createdAt: 1,
+          score: textScore("channel")
+        }
+      }
+    ]
+  },
+
+  playlist: {
+    model: Playlist,
+    stages: (search) => [
+      {
+        $match: {
+          $text: { $search: search }
+        }
+      },
+      {
+        $project: {
+          type: { $literal: "playlist" },
+          name: 1,
+          description: 1,
+          videoCount: { $size: "$videos" },
+          owner: 1,
+          createdAt: 1,
+          updatedAt: 1,
+          score: {
+            $multiply: [textScore("playlist"), recencyBoost("$updatedAt")]
+          }
+        }
+      }
+    ]
+  }
+}
+
+/* ======================================================
+   SEARCH (videos + channels + playlists, mixed)
+====================================================== */
+
+const search = asyncHandler(async (req, res) => {
+
+  const { q, type, page = 1, limit = 20 } = req.query
+
+  // ?q=a&q=b arrives as an array
+  if (q !== undefined && typeof q !== "string") {
+    throw new ApiError(400, "Search query (q) must be a single value")
+  }
+
+  const searchText = q?.trim()
+
+  if (!searchText) {
+    throw new ApiError(400, "Search query (q) is required")
+  }
+
+  if (searchText.length > MAX_QUERY_LENGTH) {
+    throw new ApiError(400, `Search query can be at most ${MAX_QUERY_LENGTH} characters`)
+  }
+
+  // type=video,playlist -> only those
+  const types = type
+    ? [...new Set(String(type).split(",").map((value) => value.trim()))]
+    : SEARCH_TYPES
+
+  if (!types.length || types.some((value) => !SEARCH_TYPES.includes(value))) {
+    throw new ApiError(400, `type must be one of ${SEARCH_TYPES.join(", ")}`)
+  }
+
+  const pageNumber = Math.max(Number(page) || 1, 1)
+  const pageSize = Math.min(Math.max(Number(limit) || 20, 1), MAX_LIMIT)
+  const needed = pageNumber * pageSize
+
+  if (needed > MAX_RESULTS) {
+    throw new ApiError(400, `Only the first ${MAX_RESULTS} results can be paged through`)
+  }
+
+  // one ranked query per type ($text can't run inside $unionWith),
+  // each one only needs its best `needed` results for the merge
+  const perType = await Promise.all(
+    types.map(async (searchType) => {
+      const [result] = await searchSources[searchType].model.aggregate([
+        ...searchSources[searchType].stages(searchText),
+        {
+          $facet: {
+            docs: [{ $sort: { score: -1, _id: 1 } }, { $limit: needed }],
+            total: [{ $count: "count" }]
+          }
+        }
+      ])
+
+      return { docs: result.docs, total: result.total[0]?.count || 0 }
+    })
+  )
+
+  // video media not public yet comes signed
+  const docs = perType
+    .flatMap((result) => result.docs)
+    .sort((a, b) => b.score - a.score)
+    .slice((pageNumber - 1) * pageSize, needed)
+    .map(withVideoMediaUrls)
+
+  // owners only for the page that is returned
+  const ownerIds = docs.filter((doc) => doc.owner).map((doc) => doc.owner)
+  const owners = await User.find({ _id: { $in: ownerIds } }).select("username avatar")
+  const ownersById = new Map(owners.map((owner) => [owner._id.toString(), owner]))
+
+  for (const doc of docs) {
+    if (doc.owner) doc.owner = ownersById.get(doc.owner.toString()) || null
+  }
+
+  const totalDocs = Math.min(
+    perType.reduce((sum, result) => sum + result.total, 0),
+    MAX_RESULTS
+  )
+  const totalPages = Math.ceil(totalDocs / pageSize)
+
+  // same shape as the aggregatePaginate listings
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        docs,
+        totalDocs,
+        limit: pageSize,
+        page: pageNumber,
+        totalPages,
+        hasPrevPage: pageNumber > 1,
+        hasNextPage: pageNumber < totalPages
+      },
+      "Search results fetched successfully"
+    )
+  )
+})
+
+/* ====================================================== */
+
+export {
+  search
+}
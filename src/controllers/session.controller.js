@@ -0,0 +1,90 @@
+import { isValidObjectId } from "mongoose"
+import { Session } from "../models/session.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+
+/* ======================================================
+   GET ACTIVE SESSIONS
+====================================================== */
+
+const getActiveSessions = asyncHandler(async (req, res) => {
+
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select("-refreshTokenHash")
+    .sort({ lastUsedAt: -1 })
+
+  const currentSessionId = req.authSession._id.toString()
+
+  const data = sessions.map((session) => ({
+    ...session.toObject(),
+    isCurrent: session._id.toString() === currentSessionId
+  }))
+
+  return res.status(200).json(
+    new ApiResponse(200, data, "Sessions fetched successfully")
+  )
+})
+
+/* ======================================================
+   REVOKE ONE SESSION
+====================================================== */
+
+const revokeSession = asyncHandler(async (req, res) => {
+
+  const { sessionId } = req.params
+
+  if (!isValidObjectId(sessionId)) {
+    throw new ApiError(400, "Invalid session id")
+  }
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, user: req.user._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), refreshTokenHash: null } },
+    { new: true }
+  )
+
+  if (!session) {
+    throw new ApiError(404, "Session not found")
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, {}, "Session revoked successfully")
+  )
+})
+
+/* ======================================================
+   REVOKE ALL OTHER SESSIONS
+====================================================== */
+
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+
+  const result = await Session.updateMany(
+    {
+      user: req.user._id,
+      _id: { $ne: req.authSession._id },
+      revokedAt: null
+    },
+    { $set: { revokedAt: new Date(), refreshTokenHash: null } }
+  )
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { revoked: result.modifiedCount },
+      "Other sessions revoked successfully"
+    )
+  )
+})
+
+/* ====================================================== */
+
+export {
+  getActiveSessions,
+  revokeSession,
+  revokeOtherSessions
+}
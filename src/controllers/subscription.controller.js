@@ -46,6 +46,42 @@ const toggleSubscription = asyncHandler(async (req, res) => {
   )
 })
 
+/* ======================================================
+   MUTE / UNMUTE A SUBSCRIBED CHANNEL (hidden from the feed)
+====================================================== */
+
+const updateSubscriptionMute = asyncHandler(async (req, res) => {
+
+  const { channelId } = req.params
+  const { muted } = req.body
+
+  if (!isValidObjectId(channelId)) {
+    throw new ApiError(400, "Invalid channel id")
+  }
+
+  if (typeof muted !== "boolean") {
+    throw new ApiError(400, "muted must be true or false")
+  }
+
+  const subscription = await Subscription.findOneAndUpdate(
+    { channel: channelId, subscriber: req.user._id },
+    { $set: { muted } },
+    { new: true }
+  )
+
+  if (!subscription) {
+    throw new ApiError(404, "Not subscribed to this channel")
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { muted: subscription.muted },
+      muted ? "Channel muted" : "Channel unmuted"
+    )
+  )
+})
+
 /* ======================================================
    GET CHANNEL SUBSCRIBERS
 ====================================================== */
@@ -142,6 +178,7 @@ const getSubscribedChannels = asyncHandler(async (req, res) => {
 
 export {
   toggleSubscription,
+  updateSubscriptionMute,
   getUserChannelSubscribers,
   getSubscribedChannels
 }
@@ -3,6 +3,7 @@ import { Tweet } from "../models/tweet.model.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
+import { authorize } from "../utils/policy.js"
 
 /* ======================================================
    CREATE TWEET
@@ -65,9 +66,7 @@ const updateTweet = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Tweet not found")
   }
 
-  if (tweet.owner.toString() !== req.user._id.toString()) {
-    throw new ApiError(403, "Not allowed")
-  }
+  authorize(req.user, "tweet:update", tweet)
 
   tweet.content = content
   await tweet.save()
@@ -91,9 +90,8 @@ const deleteTweet = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Tweet not found")
   }
 
-  if (tweet.owner.toString() !== req.user._id.toString()) {
-    throw new ApiError(403, "Not allowed")
-  }
+  // owner, moderators and admins
+  authorize(req.user, "tweet:delete", tweet)
 
   await Tweet.findByIdAndDelete(tweetId)
 
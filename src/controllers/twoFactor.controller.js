@@ -0,0 +1,137 @@
+import { User } from "../models/user.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { generateToken, hashToken } from "../utils/token.js"
+import { generateTotpSecret, buildOtpAuthUri } from "../utils/totp.js"
+
+const RECOVERY_CODE_COUNT = 10
+
+// plain codes go to the user once, only hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateToken(5)
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+
+  return { codes, hashes: codes.map((code) => hashToken(code)) }
+}
+
+/* ======================================================
+   ENROLL (returns secret + otpauth uri for the QR code)
+====================================================== */
+
+const enrollTwoFactor = asyncHandler(async (req, res) => {
+
+  if (req.user.twoFactorEnabled) {
+    throw new ApiError(400, "Two factor authentication is already enabled")
+  }
+
+  const secret = generateTotpSecret()
+
+  await User.findByIdAndUpdate(req.user._id, {
+    $set: { twoFactorPendingSecret: secret }
+  })
+
+  const otpauthUri = buildOtpAuthUri({
+    secret,
+    accountName: req.user.email,
+    issuer: process.env.TWO_FACTOR_ISSUER || "VidTube"
+  })
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { secret, otpauthUri },
+      "Scan the code and confirm with a code from your app"
+    )
+  )
+})
+
+/* ======================================================
+   CONFIRM (first code turns 2FA on)
+====================================================== */
+
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+
+  const { code } = req.body
+
+  if (!code) {
+    throw new ApiError(400, "Code is required")
+  }
+
+  const user = await User.findById(req.user._id)
+    .select("+twoFactorPendingSecret +twoFactorSecret +twoFactorLastUsedStep")
+
+  if (!user.twoFactorPendingSecret) {
+    throw new ApiError(400, "Start two factor enrollment first")
+  }
+
+  user.twoFactorSecret = user.twoFactorPendingSecret
+
+  if (!user.isTwoFactorCodeCorrect(code)) {
+    throw new ApiError(400, "Invalid two factor code")
+  }
+
+  const { codes, hashes } = generateRecoveryCodes()
+
+  user.twoFactorEnabled = true
+  user.twoFactorPendingSecret = undefined
+  user.twoFactorRecoveryCodes = hashes
+  await user.save({ validateBeforeSave: false })
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { recoveryCodes: codes },
+      "Two factor authentication enabled, store your recovery codes safely"
+    )
+  )
+})
+
+/* ======================================================
+   DISABLE (needs password and a current code)
+====================================================== */
+
+const disableTwoFactor = asyncHandler(async (req, res) => {
+
+  const { password, code } = req.body
+
+  if (!password || !code) {
+    throw new ApiError(400, "Password and code are required")
+  }
+
+  const user = await User.findById(req.user._id)
+    .select("+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep")
+
+  if (!user.twoFactorEnabled) {
+    throw new ApiError(400, "Two factor authentication is not enabled")
+  }
+
+  const isPasswordCorrect = await user.isPasswordCorrect(password)
+
+  if (
+    !isPasswordCorrect ||
+    !(user.isTwoFactorCodeCorrect(code) || user.useRecoveryCode(code))
+  ) {
+    throw new ApiError(401, "Invalid password or code")
+  }
+
+  user.twoFactorEnabled = false
+  user.twoFactorSecret = undefined
+  user.twoFactorRecoveryCodes = []
+  user.twoFactorLastUsedStep = undefined
+  await user.save({ validateBeforeSave: false })
+
+  return res.status(200).json(
+    new ApiResponse(200, {}, "Two factor authentication disabled")
+  )
+})
+
+/* ====================================================== */
+
+export {
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor
+}
@@ -0,0 +1,295 @@
+import fs from "fs"
+import { isValidObjectId } from "mongoose"
+import { UploadSession } from "../models/uploadSession.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { parsePublishFields, publishVideoFromFiles } from "../utils/publishVideo.js"
+import {
+  UPLOAD_CHUNK_MAX_BYTES,
+  UPLOAD_CHUNK_MIN_BYTES,
+  UPLOAD_MAX_CHUNKS,
+  UPLOAD_MAX_FILE_BYTES,
+  UPLOAD_SESSION_TTL_HOURS,
+  sha256,
+  writeChunk,
+  assembleChunks,
+  removeChunks
+} from "../utils/uploadChunks.js"
+
+const nextExpiry = () =>
+  new Date(Date.now() + UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000)
+
+// only the owner's own, not yet expired sessions
+const findOwnUploadSession = async (uploadId, userId) => {
+  if (!isValidObjectId(uploadId)) {
+    throw new ApiError(400, "Invalid upload id")
+  }
+
+  const uploadSession = await UploadSession.findOne({
+    _id: uploadId,
+    owner: userId,
+    expiresAt: { $gt: new Date() }
+  })
+
+  if (!uploadSession) {
+    throw new ApiError(404, "Upload session not found or expired")
+  }
+
+  return uploadSession
+}
+
+const toStatus = (uploadSession) => ({
+  _id: uploadSession._id,
+  fileName: uploadSession.fileName,
+  fileSize: uploadSession.fileSize,
+  chunkSize: uploadSession.chunkSize,
+  totalChunks: uploadSession.totalChunks,
+  receivedChunks: uploadSession.chunks.map((chunk) => chunk.index).sort((a, b) => a - b),
+  missingChunks: uploadSession.getMissingChunks(),
+  status: uploadSession.status,
+  video: uploadSession.video,
+  expiresAt: uploadSession.expiresAt
+})
+
+/* ======================================================
+   CREATE UPLOAD SESSION
+====================================================== */
+
+const createUploadSession = asyncHandler(async (req, res) => {
+
+  const { fileName, mimeType } = req.body
+  const fileSize = Number(req.body.fileSize)
+  const chunkSize = req.body.chunkSize === undefined
+    ? UPLOAD_CHUNK_MAX_BYTES
+    : Number(req.body.chunkSize)
+
+  if (!fileName || !Number.isInteger(fileSize) || fileSize <= 0) {
+    throw new ApiError(400, "fileName and fileSize (whole bytes) are required")
+  }
+
+  if (mimeType && !mimeType.startsWith("video/")) {
+    throw new ApiError(400, "Only video files can be uploaded")
+  }
+
+  if (fileSize > UPLOAD_MAX_FILE_BYTES) {
+    throw new ApiError(413, "File is too large")
+  }
+
+  if (
+    !Number.isInteger(chunkSize) ||
+    chunkSize < Math.min(UPLOAD_CHUNK_MIN_BYTES, fileSize) ||
+    chunkSize > UPLOAD_CHUNK_MAX_BYTES
+  ) {
+    throw new ApiError(
+      400,
+      `chunkSize must be a whole number of bytes between ${UPLOAD_CHUNK_MIN_BYTES} and ${UPLOAD_CHUNK_MAX_BYTES}`
+    )
+  }
+
+  const totalChunks = Math.ceil(fileSize / chunkSize)
+
+  if (totalChunks > UPLOAD_MAX_CHUNKS) {
+    throw new ApiError(400, `At most ${UPLOAD_MAX_CHUNKS} chunks, use a bigger chunkSize`)
+  }
+
+  const uploadSession = await UploadSession.create({
+    owner: req.user._id,
+    fileName,
+    fileSize,
+    mimeType,
+    chunkSize,
+    totalChunks,
+    expiresAt: nextExpiry()
+  })
+
+  return res.status(201).json(
+    new ApiResponse(201, toStatus(uploadSession), "Upload session created")
+  )
+})
+
+/* ======================================================
+   UPLOAD ONE CHUNK (raw body, X-Chunk-Checksum: sha256 hex)
+====================================================== */
+
+const uploadChunk = asyncHandler(async (req, res) => {
+
+  const { uploadId } = req.params
+  const index = Number(req.params.chunkIndex)
+  const checksum = req.header("X-Chunk-Checksum")?.toLowerCase()
+
+  const uploadSession = await findOwnUploadSession(uploadId, req.user._id)
+
+  if (uploadSession.status !== "active") {
+    throw new ApiError(409, "Upload is already finalized")
+  }
+
+  if (!Number.isInteger(index) || index < 0 || index >= uploadSession.totalChunks) {
+    throw new ApiError(400, "Invalid chunk index")
+  }
+
+  const chunk = req.body
+
+  if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+    throw new ApiError(400, "Chunk body is empty")
+  }
+
+  // every chunk but the last one must be exactly chunkSize
+  const expectedSize = index === uploadSession.totalChunks - 1
+    ? uploadSession.fileSize - index * uploadSession.chunkSize
+    : uploadSession.chunkSize
+
+  if (chunk.length !== expectedSize) {
+    throw new ApiError(400, `Chunk ${index} must be ${expectedSize} bytes`)
+  }
+
+  if (!checksum) {
+    throw new ApiError(400, "X-Chunk-Checksum header is required")
+  }
+
+  if (sha256(chunk) !== checksum) {
+    throw new ApiError(422, "Checksum mismatch, please resend the chunk")
+  }
+
+  await writeChunk(uploadSession._id, index, chunk)
+
+  // re-sent chunks replace the old entry, in one update so parallel
+  // retries of the same chunk can't leave it twice (or not at all)
+  const updatedSession = await UploadSession.findByIdAndUpdate(
+    uploadSession._id,
+    [
+      {
+        $set: {
+          chunks: {
+            $concatArrays: [
+              {
+                $filter: {
+                  input: { $ifNull: ["$chunks", []] },
+                  cond: { $ne: ["$$this.index", index] }
+                }
+              },
+              [{ index, size: chunk.length, checksum }]
+            ]
+          },
+          expiresAt: nextExpiry(),
+          updatedAt: "$$NOW"
+        }
+      }
+    ],
+    { new: true, updatePipeline: true }
+  )
+
+  return res.status(200).json(
+    new ApiResponse(200, toStatus(updatedSession), `Chunk ${index} received`)
+  )
+})
+
+/* ======================================================
+   UPLOAD STATUS (which chunks are there)
+====================================================== */
+
+const getUploadSession = asyncHandler(async (req, res) => {
+
+  const uploadSession = await findOwnUploadSession(
+    req.params.uploadId,
+    req.user._id
+  )
+
+  return res.status(200).json(
+    new ApiResponse(200, toStatus(uploadSession), "Upload status fetched")
+  )
+})
+
+/* ======================================================
+   FINALIZE (assemble + normal publish flow)
+====================================================== */
+
+const completeUploadSession = asyncHandler(async (req, res) => {
+
+  const { uploadId } = req.params
+  const { title, description } = req.body
+  const thumbnailLocalPath = req.file?.path
+  let published = false
+
+  try {
+    if (!title || !description) {
+      throw new ApiError(400, "Title and description required")
+    }
+
+    // same optional fields as a plain upload, checked before the claim
+    // so a bad value leaves the session resumable
+    const publishFields = parsePublishFields(req.body)
+
+    const uploadSession = await findOwnUploadSession(uploadId, req.user._id)
+
+    const missingChunks = uploadSession.getMissingChunks()
+
+    if (missingChunks.length) {
+      throw new ApiError(
+        409,
+        "Upload is incomplete",
+        [{ missingChunks }]
+      )
+    }
+
+    // claim it, so a double click doesn't publish twice
+    const claimed = await UploadSession.findOneAndUpdate(
+      { _id: uploadSession._id, status: "active" },
+      { $set: { status: "finalizing" } }
+    )
+
+    if (!claimed) {
+      throw new ApiError(409, "Upload is already finalized")
+    }
+
+    let video
+
+    try {
+      const videoLocalPath = await assembleChunks(
+        uploadSession._id,
+        uploadSession.totalChunks,
+        uploadSession.fileName
+      )
+
+      await removeChunks(uploadSession._id)
+
+      video = await publishVideoFromFiles({
+        owner: req.user._id,
+        title,
+        description,
+        videoLocalPath,
+        thumbnailLocalPath,
+        ...publishFields
+      })
+    } catch (error) {
+      // chunks may be gone, nothing left to resume
+      await UploadSession.deleteOne({ _id: uploadSession._id })
+      throw error
+    }
+
+    published = true
+
+    await UploadSession.updateOne(
+      { _id: uploadSession._id },
+      { $set: { status: "completed", video: video._id } }
+    )
+
+    return res.status(202).json(
+      new ApiResponse(202, video, "Video uploaded, processing started")
+    )
+  } finally {
+    // once published the processing job owns the file
+    if (thumbnailLocalPath && !published) {
+      fs.rmSync(thumbnailLocalPath, { force: true })
+    }
+  }
+})
+
+/* ====================================================== */
+
+export {
+  createUploadSession,
+  uploadChunk,
+  getUploadSession,
+  completeUploadSession
+}
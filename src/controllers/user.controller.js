@@ -9,6 +9,13 @@
  5) Change password
  6) Get current user
  7) Update profile data
+ 8) Forgot / reset password
+ 9) Email verification
+ 10) Second step of a two factor login (enrolling lives in twoFactor.controller.js)
+ 11) User management by admins: roles, details, deletion (see utils/policy.js)
+ 12) Account deletion (with grace period)
+
+ Every login opens a Session (one per device), tokens carry its id.
 
  FLOW (High Level):
  User -> Sends request -> Controller -> DB -> Token created -> Cookie set -> Response
@@ -24,8 +31,14 @@ import { ApiError } from "../utils/ApiError.js";
 // MongoDB User model
 import { User } from "../models/user.model.js";
 
-// Uploads image to Cloudinary and returns URL
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
+// One document per logged-in device
+import { Session } from "../models/session.model.js";
+
+// Audit log (token reuse etc.)
+import { SecurityEvent } from "../models/securityEvent.model.js";
+
+// Uploads files to the configured storage (Cloudinary / local disk)
+import { getStorage, removeStoredFile } from "../utils/storage.js";
 
 // Standard response format
 import { ApiResponse } from "../utils/ApiResponse.js";
@@ -33,14 +46,56 @@ import { ApiResponse } from "../utils/ApiResponse.js";
 // Used for verifying JWT tokens
 import jwt from "jsonwebtoken";
 
-// Needed for ObjectId in aggregation
-import mongoose from "mongoose";
+// Refresh tokens are stored hashed on the session
+import { generateToken, hashToken } from "../utils/token.js";
+
+// ObjectId validation
+import { isValidObjectId } from "mongoose";
+
+// Failed login counters (backoff + lockout)
+import {
+  accountKey,
+  ipKey,
+  startLoginAttempt,
+  uncountLoginAttempt,
+  recordLoginFailure,
+  clearLoginFailures
+} from "../utils/loginThrottle.js";
+
+// Removes everything a user owns
+import { purgeUserAccount } from "../utils/accountCleanup.js";
+
+// Role based authorization
+import { authorize } from "../utils/policy.js";
+import { USER_ROLES } from "../constants.js";
+
+// Sends mail through the configured transport (smtp / file / console)
+import { sendMail } from "../utils/mailer.js";
+
+const PASSWORD_RESET_TOKEN_EXPIRY_MINUTES =
+  Number(process.env.PASSWORD_RESET_TOKEN_EXPIRY_MINUTES) || 15;
+
+const PASSWORD_RESET_MIN_INTERVAL_MINUTES =
+  Number(process.env.PASSWORD_RESET_MIN_INTERVAL_MINUTES) || 2;
+
+const EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS =
+  Number(process.env.EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS) || 24;
+
+// 0 = delete right away, unset or not a number >= 0 = 14 days
+const parseGraceDays = (value) => {
+  const days = Number(value);
+  return value?.trim() && Number.isFinite(days) && days >= 0 ? days : 14;
+};
+
+const ACCOUNT_DELETION_GRACE_DAYS =
+  parseGraceDays(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+
 
 /* 
    TOKEN GENERATOR (CORE OF AUTH SYSTEM)
 */
 
-const generateAccessAndRefreshToken = async (userID) => {
+const generateAccessAndRefreshToken = async (userID, session) => {
 
   // Step 1: Find user
   const user = await User.findById(userID);
@@ -49,19 +104,157 @@ const generateAccessAndRefreshToken = async (userID) => {
   }
 
   // Step 2: Create access token
-  const accessToken = user.generateAccessToken();
+  const accessToken = user.generateAccessToken(session._id);
 
   // Step 3: Create refresh token
-  const refreshToken = user.generateRefreshToken();
+  const refreshToken = user.generateRefreshToken(session);
 
-  // Step 4: Store refresh token in DB
-  user.refreshToken = refreshToken;
-  await user.save({ validateBeforeSave: false });
+  // Step 4: Store refresh token hash on this device's session only,
+  // other devices keep their own tokens
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.lastUsedAt = new Date();
+  session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+  await session.save({ validateBeforeSave: false });
 
   // Step 5: Return tokens
   return { accessToken, refreshToken };
 };
 
+/* 
+   SESSION CREATOR (one per device)
+*/
+
+const createSession = async (userID, req) => {
+  const userAgent = req.get("user-agent") || "";
+
+  return await Session.create({
+    user: userID,
+    deviceLabel: req.body?.deviceLabel?.trim() || userAgent.slice(0, 60) || undefined,
+    userAgent,
+    ip: req.ip,
+    familyId: generateToken(16),
+    sequence: 0,
+  });
+};
+
+/* 
+   TOKEN FAMILY REVOCATION (refresh token reuse)
+*/
+
+const revokeTokenFamily = async (session, req, presentedSequence) => {
+
+  await Session.updateMany(
+    { familyId: session.familyId, revokedAt: null },
+    { $set: { revokedAt: new Date(), refreshTokenHash: null } }
+  );
+
+  await SecurityEvent.record("refresh_token_reuse", {
+    user: session.user,
+    req,
+    details: {
+      session: session._id,
+      familyId: session.familyId,
+      presentedSequence,
+      currentSequence: session.sequence
+    }
+  });
+};
+
+/* 
+   EMAIL VERIFICATION MAIL
+*/
+
+const sendEmailVerification = async (user) => {
+
+  const verificationToken = generateToken();
+
+  // updateOne, so the token hash never ends up on a doc we send back
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        emailVerified: false,
+        emailVerificationTokenHash: hashToken(verificationToken),
+        emailVerificationExpiresAt: new Date(
+          Date.now() + EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS * 60 * 60 * 1000
+        )
+      }
+    }
+  );
+  user.emailVerified = false;
+
+  const verifyUrl =
+    `${process.env.CLIENT_URL || ""}/verify-email?token=${verificationToken}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text:
+      `Hi ${user.fullname},\n\n` +
+      `Please confirm your email address: ${verifyUrl}\n\n` +
+      `The link expires in ${EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS} hours.`
+  });
+};
+
+/* 
+   LOGIN COMPLETION (session + cookies), shared by both login steps
+*/
+
+const sendLoginResponse = async (user, req, res) => {
+
+  // Fully logged in, forget this account's failed attempts
+  await clearLoginFailures([accountKey(user._id)]);
+
+  // Logging in during the grace period cancels a pending deletion
+  if (user.deletionScheduledFor) {
+    await User.updateOne(
+      { _id: user._id },
+      { $unset: { deletionRequestedAt: 1, deletionScheduledFor: 1 } }
+    );
+  }
+
+  // Open a session for this device and generate tokens
+  const session = await createSession(user._id, req);
+
+  const { accessToken, refreshToken } =
+    await generateAccessAndRefreshToken(user._id, session);
+
+  // Remove sensitive data
+  const loggedInUser = await User.findById(user._id)
+    .select("-password");
+
+  const options = {
+    httpOnly: true,
+    secure: true,
+    sameSite: "none"
+  };
+
+  return res.status(200)
+    .cookie("accessToken", accessToken, options)
+    .cookie("refreshToken", refreshToken, options)
+    .json(
+      new ApiResponse(
+        200,
+        { user: loggedInUser, accessToken, refreshToken },
+        "Login successful"
+      )
+    );
+};
+
+/* 
+   BRUTE FORCE GUARD
+*/
+
+// counts the attempt up front, see utils/loginThrottle.js
+const assertLoginAllowed = async (throttleKeys, res) => {
+  const retryAfter = await startLoginAttempt(throttleKeys);
+
+  if (retryAfter > 0) {
+    res.set("Retry-After", String(retryAfter));
+    throw new ApiError(429, "Too many failed login attempts, try again later");
+  }
+};
+
 /* ================= REGISTER ================= */
 
 const registerUser = asyncHandler(async (req, res) => {
@@ -90,30 +283,44 @@ const registerUser = asyncHandler(async (req, res) => {
   }
 
   // Step 5: Upload avatar
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
+  const avatar = await getStorage().upload(avatarLocalPath, { folder: "avatars" });
+
+  if (!avatar) {
+    throw new ApiError(500, "Avatar upload failed");
+  }
 
   // Step 6: Upload cover image (optional)
   const coverImageLocalPath = req.files?.coverImage?.[0]?.path;
 
   const coverImage = coverImageLocalPath
-    ? await uploadOnCloudinary(coverImageLocalPath)
+    ? await getStorage().upload(coverImageLocalPath, { folder: "covers" })
     : null;
 
   // Step 7: Save user in DB
   const user = await User.create({
     fullname,
     avatar: avatar.url,
+    avatarPublicId: avatar.publicId,
     coverImage: coverImage?.url || "",
+    coverImagePublicId: coverImage?.publicId,
     email,
     password,
     username: username.toLowerCase(),
   });
 
-  // Step 8: Remove sensitive fields
+  // Step 8: Send verification mail (account is usable even if mail fails,
+  // the user can ask for a new one)
+  try {
+    await sendEmailVerification(user);
+  } catch (error) {
+    console.log("Verification mail failed", error);
+  }
+
+  // Step 9: Remove sensitive fields
   const createdUser = await User.findById(user._id)
-    .select("-password -refreshToken");
+    .select("-password");
 
-  // Step 9: Send response
+  // Step 10: Send response
   return res.status(201)
     .json(new ApiResponse(201, createdUser, "User registered successfully"));
 });
@@ -135,51 +342,138 @@ const loginUser = asyncHandler(async (req, res) => {
     $or: [{ username }, { email }]
   });
 
-  if (!user) {
-    throw new ApiError(404, "User not found");
-  }
+  // Step 4: Backoff / lockout per account and per IP
+  // (unknown accounts get counters too, so nothing gives away who exists)
+  const throttleKeys = [
+    accountKey(user?._id || username || email),
+    ipKey(req.ip)
+  ];
+
+  await assertLoginAllowed(throttleKeys, res);
+
+  // Step 5: Compare password, same answer (and same bcrypt work)
+  // for unknown user and wrong password
+  const isPasswordValid = user && password
+    ? await user.isPasswordCorrect(password)
+    : await User.isPasswordCorrectForUnknownUser(password);
 
-  // Step 4: Compare password
-  const isPasswordValid = await user.isPasswordCorrect(password);
   if (!isPasswordValid) {
-    throw new ApiError(401, "Wrong password");
+    await recordLoginFailure(throttleKeys, { req, user });
+    throw new ApiError(401, "Invalid credentials");
   }
 
-  // Step 5: Generate tokens
-  const { accessToken, refreshToken } =
-    await generateAccessAndRefreshToken(user._id);
+  // right password, this attempt doesn't count against anyone
+  await uncountLoginAttempt(throttleKeys);
 
-  // Step 6: Remove sensitive data
-  const loggedInUser = await User.findById(user._id)
-    .select("-password -refreshToken");
+  // Step 6: 2FA accounts get a short lived, single use challenge instead
+  // of cookies (only the latest challenge of a user is valid)
+  if (user.twoFactorEnabled) {
+    const challengeId = generateToken(16);
 
-  const options = {
-    httpOnly: true,
-    secure: true,
-    sameSite: "none"
-  };
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { twoFactorChallengeId: challengeId } }
+    );
 
-  // Step 7: Send response
-  return res.status(200)
-    .cookie("accessToken", accessToken, options)
-    .cookie("refreshToken", refreshToken, options)
-    .json(
-      new ApiResponse(
+    const challengeToken = jwt.sign(
+      { _id: user._id, purpose: "2fa" },
+      process.env.TWO_FACTOR_CHALLENGE_SECRET,
+      { expiresIn: "5m", jwtid: challengeId }
+    );
+
+    return res.status(200)
+      .json(new ApiResponse(
         200,
-        { user: loggedInUser, accessToken, refreshToken },
-        "Login successful"
-      )
+        { twoFactorRequired: true, challengeToken },
+        "Two factor code required"
+      ));
+  }
+
+  // Step 7: Session, cookies & response
+  return await sendLoginResponse(user, req, res);
+});
+
+/* ================= LOGIN (2FA STEP) ================= */
+
+const loginWithTwoFactor = asyncHandler(async (req, res) => {
+
+  // Step 1: Get challenge and either a TOTP code or a recovery code
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || !(code || recoveryCode)) {
+    throw new ApiError(400, "Challenge token and code required");
+  }
+
+  let decodedToken;
+
+  try {
+    decodedToken = jwt.verify(
+      challengeToken,
+      process.env.TWO_FACTOR_CHALLENGE_SECRET
     );
+  } catch (error) {
+    throw new ApiError(401, "Login challenge expired, please login again");
+  }
+
+  if (decodedToken.purpose !== "2fa" || !decodedToken.jti) {
+    throw new ApiError(401, "Invalid login challenge");
+  }
+
+  // Step 2: Find user with 2FA fields, the challenge must still be pending
+  const user = await User.findById(decodedToken._id)
+    .select("+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep +twoFactorChallengeId");
+
+  if (
+    !user ||
+    !user.twoFactorEnabled ||
+    user.twoFactorChallengeId !== decodedToken.jti
+  ) {
+    throw new ApiError(401, "Invalid login challenge");
+  }
+
+  // Step 3: Codes are guessable too, same counters as the password step
+  const throttleKeys = [accountKey(user._id), ipKey(req.ip)];
+
+  await assertLoginAllowed(throttleKeys, res);
+
+  // Step 4: Check the second factor
+  const isSecondFactorValid = code
+    ? user.isTwoFactorCodeCorrect(code)
+    : user.useRecoveryCode(recoveryCode);
+
+  if (!isSecondFactorValid) {
+    await recordLoginFailure(throttleKeys, { req, user });
+    throw new ApiError(401, "Invalid two factor code");
+  }
+
+  await uncountLoginAttempt(throttleKeys);
+
+  // Step 5: Use up the challenge, atomically so a parallel request
+  // with the same token can't log in too
+  const challengeClaim = await User.updateOne(
+    { _id: user._id, twoFactorChallengeId: decodedToken.jti },
+    { $unset: { twoFactorChallengeId: 1 } }
+  );
+
+  if (!challengeClaim.modifiedCount) {
+    throw new ApiError(401, "Invalid login challenge");
+  }
+
+  // Step 6: Persist used step / consumed recovery code
+  await user.save({ validateBeforeSave: false });
+
+  // Step 7: Session, cookies & response
+  return await sendLoginResponse(user, req, res);
 });
 
 /* ================= LOGOUT ================= */
 
 const logoutUser = asyncHandler(async (req, res) => {
 
-  // Step 1: Remove refresh token from DB
-  await User.findByIdAndUpdate(
-    req.user._id,
-    { $set: { refreshToken: null } }
+  // Step 1: Revoke only the session of this device
+  await Session.findByIdAndUpdate(
+    req.authSession._id,
+    { $set: { revokedAt: new Date(), refreshTokenHash: null } }
   );
 
   const options = {
@@ -218,17 +512,48 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Invalid refresh token");
   }
 
-  // Step 3: Find user
-  const user = await User.findById(decodedToken._id);
+  // Step 3: Find the session (token family) the token was issued for
+  const existingSession = await Session.findOne({
+    _id: decodedToken.sid,
+    user: decodedToken._id,
+    familyId: decodedToken.fam
+  });
 
-  // Step 4: Compare tokens
-  if (!user || incomingRefreshToken !== user.refreshToken) {
+  if (!existingSession || !existingSession.isActive()) {
     throw new ApiError(401, "Invalid refresh token");
   }
 
-  // Step 5: Generate new tokens
+  // Step 4: Reuse detection - this token was already rotated,
+  // so someone else holds a copy. Kill the whole family.
+  if (decodedToken.seq < existingSession.sequence) {
+    await revokeTokenFamily(existingSession, req, decodedToken.seq);
+    throw new ApiError(401, "Refresh token reuse detected, please login again");
+  }
+
+  if (hashToken(incomingRefreshToken) !== existingSession.refreshTokenHash) {
+    throw new ApiError(401, "Invalid refresh token");
+  }
+
+  // Step 5: Claim this rotation atomically, so two requests
+  // with the same token can't both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: existingSession._id,
+      sequence: decodedToken.seq,
+      revokedAt: null
+    },
+    { $inc: { sequence: 1 } },
+    { new: true }
+  );
+
+  if (!session) {
+    await revokeTokenFamily(existingSession, req, decodedToken.seq);
+    throw new ApiError(401, "Refresh token reuse detected, please login again");
+  }
+
+  // Step 6: Generate new tokens for the same session
   const { accessToken, refreshToken } =
-    await generateAccessAndRefreshToken(user._id);
+    await generateAccessAndRefreshToken(decodedToken._id, session);
 
   const options = {
     httpOnly: true,
@@ -236,7 +561,7 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
     sameSite: "none"
   };
 
-  // Step 6: Send new tokens
+  // Step 7: Send new tokens
   return res.status(200)
     .cookie("accessToken", accessToken, options)
     .cookie("refreshToken", refreshToken, options)
@@ -276,6 +601,160 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, {}, "Password changed successfully"));
 });
 
+/* ================= FORGOT PASSWORD ================= */
+
+const forgotPassword = asyncHandler(async (req, res) => {
+
+  // Step 1: Get email
+  const { email } = req.body;
+
+  if (!email?.trim()) {
+    throw new ApiError(400, "Email is required");
+  }
+
+  // Step 2: Find user and store only the hash of a fresh single-use token,
+  // in one update that also throttles how often one address gets a mail.
+  // The response is the same either way (unknown, throttled, mail failed),
+  // so nobody can probe which emails are registered.
+  const resetToken = generateToken();
+  const now = new Date();
+
+  const user = await User.findOneAndUpdate(
+    {
+      email: email.trim().toLowerCase(),
+      $or: [
+        { passwordResetRequestedAt: null },
+        {
+          passwordResetRequestedAt: {
+            $lte: new Date(now - PASSWORD_RESET_MIN_INTERVAL_MINUTES * 60 * 1000)
+          }
+        }
+      ]
+    },
+    {
+      $set: {
+        passwordResetTokenHash: hashToken(resetToken),
+        passwordResetExpiresAt: new Date(
+          now.getTime() + PASSWORD_RESET_TOKEN_EXPIRY_MINUTES * 60 * 1000
+        ),
+        passwordResetRequestedAt: now
+      }
+    }
+  );
+
+  if (user) {
+
+    // Step 3: Mail the plain token
+    const resetUrl =
+      `${process.env.CLIENT_URL || ""}/reset-password?token=${resetToken}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text:
+          `Hi ${user.fullname},\n\n` +
+          `Use this link to reset your password: ${resetUrl}\n\n` +
+          `It expires in ${PASSWORD_RESET_TOKEN_EXPIRY_MINUTES} minutes. ` +
+          `If you didn't ask for this, just ignore this mail.`
+      });
+    } catch (error) {
+      console.log("Password reset mail failed", error);
+    }
+  }
+
+  return res.status(200)
+    .json(new ApiResponse(
+      200,
+      {},
+      "If that email is registered, a reset link has been sent"
+    ));
+});
+
+/* ================= RESET PASSWORD ================= */
+
+const resetPassword = asyncHandler(async (req, res) => {
+
+  // Step 1: Get token & new password
+  const { token, newPassword } = req.body;
+
+  if (!token || !newPassword) {
+    throw new ApiError(400, "Token and new password are required");
+  }
+
+  // Step 2: Find user with a matching, unexpired token and burn it in the
+  // same update, so two requests can't both use it
+  const user = await User.findOneAndUpdate(
+    {
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpiresAt: { $gt: new Date() }
+    },
+    { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new ApiError(400, "Reset token is invalid or has expired");
+  }
+
+  // Step 3: Set new password
+  user.password = newPassword;
+  await user.save({ validateBeforeSave: false });
+
+  // Step 4: Log out every device, old refresh tokens stop working
+  await Session.updateMany(
+    { user: user._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), refreshTokenHash: null } }
+  );
+
+  return res.status(200)
+    .json(new ApiResponse(200, {}, "Password reset successfully"));
+});
+
+/* ================= VERIFY EMAIL ================= */
+
+const verifyEmail = asyncHandler(async (req, res) => {
+
+  const token = req.body?.token || req.query?.token;
+
+  if (!token) {
+    throw new ApiError(400, "Verification token is required");
+  }
+
+  const user = await User.findOneAndUpdate(
+    {
+      emailVerificationTokenHash: hashToken(token),
+      emailVerificationExpiresAt: { $gt: new Date() }
+    },
+    {
+      $set: { emailVerified: true },
+      $unset: { emailVerificationTokenHash: 1, emailVerificationExpiresAt: 1 }
+    },
+    { new: true }
+  ).select("-password");
+
+  if (!user) {
+    throw new ApiError(400, "Verification token is invalid or has expired");
+  }
+
+  return res.status(200)
+    .json(new ApiResponse(200, user, "Email verified successfully"));
+});
+
+/* ================= RESEND VERIFICATION ================= */
+
+const resendEmailVerification = asyncHandler(async (req, res) => {
+
+  if (req.user.emailVerified) {
+    throw new ApiError(400, "Email is already verified");
+  }
+
+  await sendEmailVerification(req.user);
+
+  return res.status(200)
+    .json(new ApiResponse(200, {}, "Verification email sent"));
+});
+
 /* ================= CURRENT USER ================= */
 
 const getCurrentUser = asyncHandler(async (req, res) => {
@@ -298,17 +777,43 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
     throw new ApiError(400, "All fields are required");
   }
 
+  const normalizedEmail = email.trim().toLowerCase();
+  const emailChanged = normalizedEmail !== req.user.email;
+
+  if (emailChanged) {
+    const emailTaken = await User.exists({
+      email: normalizedEmail,
+      _id: { $ne: req.user._id }
+    });
+
+    if (emailTaken) {
+      throw new ApiError(409, "Email already in use");
+    }
+  }
+
   const user = await User.findByIdAndUpdate(
     req.user._id,
-    { $set: { fullname, email } },
+    { $set: { fullname, email: normalizedEmail } },
     { new: true }
   ).select("-password");
 
+  // New address has to be confirmed again (the change is saved even if
+  // mail fails, the user can ask for a new one)
+  if (emailChanged) {
+    try {
+      await sendEmailVerification(user);
+    } catch (error) {
+      console.log("Verification mail failed", error);
+    }
+  }
+
   return res.status(200)
     .json(new ApiResponse(
       200,
       user,
-      "Account details updated successfully"
+      emailChanged
+        ? "Account details updated, please verify your new email"
+        : "Account details updated successfully"
     ));
 });
 
@@ -322,14 +827,26 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Avatar file missing");
   }
 
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
+  const avatar = await getStorage().upload(avatarLocalPath, { folder: "avatars" });
+
+  if (!avatar) {
+    throw new ApiError(500, "Avatar upload failed");
+  }
+
+  const previousAvatar = {
+    publicId: req.user.avatarPublicId,
+    url: req.user.avatar
+  };
 
   const user = await User.findByIdAndUpdate(
     req.user._id,
-    { $set: { avatar: avatar.url } },
+    { $set: { avatar: avatar.url, avatarPublicId: avatar.publicId } },
     { new: true }
   ).select("-password");
 
+  // Old file is orphaned now
+  await removeStoredFile(previousAvatar);
+
   return res.status(200)
     .json(new ApiResponse(200, user, "Avatar updated"));
 });
@@ -344,14 +861,31 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Cover image file missing");
   }
 
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+  const coverImage = await getStorage().upload(coverImageLocalPath, { folder: "covers" });
+
+  if (!coverImage) {
+    throw new ApiError(500, "Cover image upload failed");
+  }
+
+  const previousCoverImage = {
+    publicId: req.user.coverImagePublicId,
+    url: req.user.coverImage
+  };
 
   const user = await User.findByIdAndUpdate(
     req.user._id,
-    { $set: { coverImage: coverImage.url } },
+    {
+      $set: {
+        coverImage: coverImage.url,
+        coverImagePublicId: coverImage.publicId
+      }
+    },
     { new: true }
   ).select("-password");
 
+  // Old file is orphaned now
+  await removeStoredFile(previousCoverImage);
+
   return res.status(200)
     .json(new ApiResponse(200, user, "Cover image updated"));
 });
@@ -425,55 +959,189 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
     ));
 });
 
-/* ================= WATCH HISTORY ================= */
+/* ================= UPDATE ROLE (ADMIN) ================= */
 
-const getWatchHistory = asyncHandler(async (req, res) => {
+const updateUserRole = asyncHandler(async (req, res) => {
 
-  const user = await User.aggregate([
-    {
-      $match: {
-        _id: new mongoose.Types.ObjectId(req.user._id)
-      }
-    },
-    {
-      $lookup: {
-        from: "videos",
-        localField: "watchHistory",
-        foreignField: "_id",
-        as: "watchHistory",
-        pipeline: [
-          {
-            $lookup: {
-              from: "users",
-              localField: "owner",
-              foreignField: "_id",
-              as: "owner",
-              pipeline: [
-                {
-                  $project: {
-                    fullname: 1,
-                    username: 1,
-                    avatar: 1
-                  }
-                }
-              ]
-            }
-          },
-          {
-            $addFields: {
-              owner: { $first: "$owner" }
-            }
-          }
-        ]
-      }
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  if (!Object.values(USER_ROLES).includes(role)) {
+    throw new ApiError(400, "Invalid role");
+  }
+
+  const user = await User.findById(userId).select("-password");
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  authorize(req.user, "user:manageRoles", user);
+
+  user.role = role;
+  await user.save({ validateBeforeSave: false });
+
+  return res.status(200)
+    .json(new ApiResponse(200, user, "User role updated"));
+});
+
+/* ================= UPDATE USER (ADMIN) ================= */
+
+const adminUpdateUser = asyncHandler(async (req, res) => {
+
+  // Step 1: Validate input
+  const { userId } = req.params;
+  const { fullname, email } = req.body;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  if (!fullname?.trim() && !email?.trim()) {
+    throw new ApiError(400, "Fullname or email required");
+  }
+
+  const user = await User.findById(userId).select("-password");
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  authorize(req.user, "user:update", user);
+
+  // Step 2: Apply changes, a new email has to be unique
+  if (fullname?.trim()) {
+    user.fullname = fullname.trim();
+  }
+
+  const normalizedEmail = email?.trim().toLowerCase();
+  const emailChanged = Boolean(normalizedEmail) && normalizedEmail !== user.email;
+
+  if (emailChanged) {
+    const emailTaken = await User.exists({
+      email: normalizedEmail,
+      _id: { $ne: user._id }
+    });
+
+    if (emailTaken) {
+      throw new ApiError(409, "Email already in use");
     }
-  ]);
+
+    user.email = normalizedEmail;
+  }
+
+  await user.save({ validateBeforeSave: false });
+
+  // Step 3: The owner confirms a new address themselves
+  if (emailChanged) {
+    try {
+      await sendEmailVerification(user);
+    } catch (error) {
+      console.log("Verification mail failed", error);
+    }
+  }
 
   return res.status(200)
+    .json(new ApiResponse(200, user, "User updated"));
+});
+
+/* ================= DELETE USER (ADMIN) ================= */
+
+const adminDeleteUser = asyncHandler(async (req, res) => {
+
+  const { userId } = req.params;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  // own account goes through DELETE /users/me (password + grace period)
+  if (userId === req.user._id.toString()) {
+    throw new ApiError(400, "Use account deletion to delete your own account");
+  }
+
+  const user = await User.findById(userId).select("-password");
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  authorize(req.user, "user:delete", user);
+
+  // No grace period, everything goes right away
+  await purgeUserAccount(user._id);
+
+  await SecurityEvent.record("account_deleted_by_admin", {
+    user: req.user._id,
+    req,
+    details: { username: user.username }
+  });
+
+  return res.status(200)
+    .json(new ApiResponse(200, {}, "User deleted"));
+});
+
+/* ================= DELETE ACCOUNT ================= */
+
+const deleteAccount = asyncHandler(async (req, res) => {
+
+  // Step 1: Confirm with password
+  const { password } = req.body;
+
+  if (!password) {
+    throw new ApiError(400, "Password is required");
+  }
+
+  const user = await User.findById(req.user._id);
+
+  const isPasswordCorrect = await user.isPasswordCorrect(password);
+  if (!isPasswordCorrect) {
+    throw new ApiError(401, "Password is incorrect");
+  }
+
+  const options = {
+    httpOnly: true,
+    secure: true,
+    sameSite: "none"
+  };
+
+  // Step 2: No grace period configured -> delete right away
+  if (ACCOUNT_DELETION_GRACE_DAYS === 0) {
+    await purgeUserAccount(user._id);
+
+    return res.status(200)
+      .clearCookie("accessToken", options)
+      .clearCookie("refreshToken", options)
+      .json(new ApiResponse(200, {}, "Account deleted"));
+  }
+
+  // Step 3: Schedule deletion, the job in jobs/accountDeletion.job.js purges it
+  const deletionScheduledFor = new Date(
+    Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = deletionScheduledFor;
+  await user.save({ validateBeforeSave: false });
+
+  // Step 4: Log out everywhere. API tokens are only suspended
+  // (auth.middleware.js), cancelling the deletion brings them back
+  await Session.updateMany(
+    { user: user._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), refreshTokenHash: null } }
+  );
+
+  return res.status(200)
+    .clearCookie("accessToken", options)
+    .clearCookie("refreshToken", options)
     .json(new ApiResponse(
       200,
-      user[0].watchHistory,
-      "Watch history fetched successfully"
+      { deletionScheduledFor },
+      "Account scheduled for deletion, log in again before then to cancel"
     ));
 });
 
@@ -482,13 +1150,21 @@ const getWatchHistory = asyncHandler(async (req, res) => {
 export {
   registerUser,
   loginUser,
+  loginWithTwoFactor,
   logoutUser,
   refreshAccessToken,
   changeCurrentPassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendEmailVerification,
   getCurrentUser,
   updateAccountDetails,
   updateUserAvatar,
   updateUserCoverImage,
   getUserChannelProfile,
-  getWatchHistory
+  updateUserRole,
+  adminUpdateUser,
+  adminDeleteUser,
+  deleteAccount
 };
@@ -1,13 +1,103 @@
+import fs from "fs"
 import mongoose, { isValidObjectId } from "mongoose"
 import { Video } from "../models/video.model.js"
 import { User } from "../models/user.model.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
-import { uploadOnCloudinary } from "../utils/cloudinary.js"
+import { removeStoredFile } from "../utils/storage.js"
+import { authorize, can } from "../utils/policy.js"
+import { VIDEO_VISIBILITY } from "../constants.js"
+import {
+  canViewVideo,
+  listedVideoMatch,
+  markPublished
+} from "../utils/videoVisibility.js"
+import { syncVideoMediaAccess, withVideoMediaUrls } from "../utils/videoMedia.js"
+import {
+  normalizeTag,
+  parseTags,
+  parseCategory,
+  durationMatch,
+  parseDateParam
+} from "../utils/videoTaxonomy.js"
+import {
+  parsePublishAt,
+  scheduleVideo,
+  cancelVideoSchedule
+} from "../utils/videoSchedule.js"
+import { parsePublishFields, publishVideoFromFiles } from "../utils/publishVideo.js"
+import { removeHlsFiles } from "../utils/hls.js"
+import { escapeRegex } from "../utils/escapeRegex.js"
+import { recordView, minWatchSecondsFor } from "../utils/viewCounter.js"
+import { getResumeAt } from "../utils/watchProgress.js"
+import { recordWatchHistory } from "../utils/watchHistory.js"
+import {
+  storeThumbnail,
+  removeThumbnailFiles,
+  isCandidateThumbnail
+} from "../utils/thumbnails.js"
 
 /* ======================================================
-   GET ALL VIDEOS (with pagination, search, sorting)
+   LISTED VIDEOS (shared by the listings below)
+====================================================== */
+
+// public + processed videos matching `filters`, owner populated, paginated
+const paginateListedVideos = async (
+  filters,
+  { page = 1, limit = 10, sortBy = "createdAt", sortType = "desc" }
+) => {
+
+  const pipeline = [
+    {
+      $match: {
+        ...filters,
+        ...listedVideoMatch(),
+        processingStatus: { $nin: ["processing", "failed"] }
+      }
+    },
+    {
+      $sort: {
+        [sortBy]: sortType === "asc" ? 1 : -1
+      }
+    },
+    // Populate owner
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+          {
+            $project: {
+              username: 1,
+              avatar: 1
+            }
+          }
+        ]
+      }
+    },
+    {
+      $addFields: {
+        owner: { $first: "$owner" }
+      }
+    }
+  ]
+
+  const options = {
+    page: Number(page),
+    limit: Number(limit)
+  }
+
+  const videos = await Video.aggregatePaginate(Video.aggregate(pipeline), options)
+
+  // public videos whose files are still being moved out of private
+  return { ...videos, docs: videos.docs.map(withVideoMediaUrls) }
+}
+
+/* ======================================================
+   GET ALL VIDEOS (with pagination, search, filters, sorting)
 ====================================================== */
 
 const getAllVideos = asyncHandler(async (req, res) => {
@@ -18,77 +108,108 @@ const getAllVideos = asyncHandler(async (req, res) => {
     query, 
     sortBy = "createdAt", 
     sortType = "desc", 
-    userId 
+    userId,
+    tag,
+    category,
+    duration,
+    uploadedAfter,
+    uploadedBefore
   } = req.query
 
-  const pipeline = []
+  const filters = {}
 
-  // Search by title
+  // Search by title (escaped, the ranked search is /api/v1/search)
   if (query) {
-    pipeline.push({
-      $match: {
-        title: { $regex: query, $options: "i" }
-      }
-    })
+    filters.title = { $regex: escapeRegex(query), $options: "i" }
   }
 
   // Filter by owner
   if (userId && isValidObjectId(userId)) {
-    pipeline.push({
-      $match: {
-        owner: new mongoose.Types.ObjectId(userId)
-      }
-    })
+    filters.owner = new mongoose.Types.ObjectId(userId)
   }
 
-  // Only published videos
-  pipeline.push({
-    $match: { isPublished: true }
-  })
+  // tag=a,b -> videos having all of them
+  if (tag) {
+    const tags = parseTags(tag)
+    if (tags.length) filters.tags = { $all: tags }
+  }
 
-  // Sort
-  pipeline.push({
-    $sort: {
-      [sortBy]: sortType === "asc" ? 1 : -1
-    }
-  })
+  if (category) {
+    filters.category = parseCategory(category)
+  }
 
-  // Populate owner
-  pipeline.push({
-    $lookup: {
-      from: "users",
-      localField: "owner",
-      foreignField: "_id",
-      as: "owner",
-      pipeline: [
-        {
-          $project: {
-            username: 1,
-            avatar: 1
-          }
-        }
-      ]
-    }
-  })
+  // short / medium / long
+  if (duration) {
+    filters.duration = durationMatch(duration)
+  }
+
+  // Upload date range
+  if (uploadedAfter || uploadedBefore) {
+    filters.createdAt = {}
+    if (uploadedAfter) filters.createdAt.$gte = parseDateParam(uploadedAfter, "uploadedAfter")
+    if (uploadedBefore) filters.createdAt.$lte = parseDateParam(uploadedBefore, "uploadedBefore")
+  }
+
+  const videos = await paginateListedVideos(filters, { page, limit, sortBy, sortType })
+
+  return res.status(200).json(
+    new ApiResponse(200, videos, "Videos fetched successfully")
+  )
+})
+
+/* ======================================================
+   TAGS (popular tags, videos per tag)
+====================================================== */
 
-  pipeline.push({
-    $addFields: {
-      owner: { $first: "$owner" }
+const getPopularTags = asyncHandler(async (req, res) => {
+
+  const limit = Math.min(Number(req.query.limit) || 20, 100)
+
+  const tags = await Video.aggregate([
+    {
+      $match: {
+        ...listedVideoMatch(),
+        processingStatus: { $nin: ["processing", "failed"] },
+        "tags.0": { $exists: true }
+      }
+    },
+    { $unwind: "$tags" },
+    {
+      $group: {
+        _id: "$tags",
+        videoCount: { $sum: 1 },
+        views: { $sum: "$views" }
+      }
+    },
+    { $sort: { videoCount: -1, views: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        tag: "$_id",
+        videoCount: 1,
+        views: 1
+      }
     }
-  })
+  ])
 
-  const options = {
-    page: Number(page),
-    limit: Number(limit)
+  return res.status(200).json(
+    new ApiResponse(200, tags, "Popular tags fetched successfully")
+  )
+})
+
+const getVideosByTag = asyncHandler(async (req, res) => {
+
+  const tag = normalizeTag(req.params.tag)
+
+  if (!tag) {
+    throw new ApiError(400, "Invalid tag")
   }
 
-  const videos = await Video.aggregatePaginate(
-    Video.aggregate(pipeline),
-    options
-  )
+  const videos = await paginateListedVideos({ tags: tag }, req.query)
 
   return res.status(200).json(
-    new ApiResponse(200, videos, "Videos fetched successfully")
+    new ApiResponse(200, { tag, ...videos }, "Videos fetched successfully")
   )
 })
 
@@ -104,28 +225,30 @@ const publishAVideo = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Title and description required")
   }
 
-  const videoLocalPath = req.files?.video?.[0]?.path
+  // visibility, publishAt, tags, category (shared with chunked uploads)
+  const publishFields = parsePublishFields(req.body)
+
+  const videoLocalPath = req.files?.videoFile?.[0]?.path
+  // optional, candidate frames are generated without one
   const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path
 
-  if (!videoLocalPath || !thumbnailLocalPath) {
-    throw new ApiError(400, "Video and thumbnail required")
+  if (!videoLocalPath) {
+    if (thumbnailLocalPath) fs.rmSync(thumbnailLocalPath, { force: true })
+    throw new ApiError(400, "Video file required")
   }
 
-  // Upload video
-  const videoFile = await uploadOnCloudinary(videoLocalPath)
-  const thumbnail = await uploadOnCloudinary(thumbnailLocalPath)
-
-  const video = await Video.create({
+  const video = await publishVideoFromFiles({
+    owner: req.user._id,
     title,
     description,
-    videoFile: videoFile.url,
-    thumbnail: thumbnail.url,
-    duration: videoFile.duration || 0,
-    owner: req.user._id
+    videoLocalPath,
+    thumbnailLocalPath,
+    ...publishFields
   })
 
-  return res.status(201).json(
-    new ApiResponse(201, video, "Video published successfully")
+  // Upload runs in the background, poll GET /videos/:videoId/status
+  return res.status(202).json(
+    new ApiResponse(202, video, "Video uploaded, processing started")
   )
 })
 
@@ -144,57 +267,315 @@ const getVideoById = asyncHandler(async (req, res) => {
   const video = await Video.findById(videoId)
     .populate("owner", "username avatar")
 
-  if (!video) {
+  // Private videos look missing to everyone they aren't shared with
+  if (!video || !canViewVideo(req.user, video)) {
     throw new ApiError(404, "Video not found")
   }
 
-  // Increase view count
-  video.views += 1
-  await video.save({ validateBeforeSave: false })
+  // Views are counted by POST /videos/:videoId/views after some watch time
+
+  // Only the owner sees who a video is shared with
+  if (!can(req.user, "video:update", video)) {
+    video.sharedWith = undefined
+  }
+
+  // Where this user stopped last time (seconds, 0 = start)
+  const resumeAt = await getResumeAt(req.user._id, video._id)
 
   return res.status(200).json(
-    new ApiResponse(200, video, "Video fetched successfully")
+    new ApiResponse(
+      200,
+      { ...withVideoMediaUrls(video.toObject()), resumeAt },
+      "Video fetched successfully"
+    )
   )
 })
 
 /* ======================================================
-   UPDATE VIDEO
+   RECORD VIEW (player reports watch time)
 ====================================================== */
 
-const updateVideo = asyncHandler(async (req, res) => {
+const recordVideoView = asyncHandler(async (req, res) => {
+
+  const { videoId } = req.params
+  const watchedSeconds = Number(req.body?.watchedSeconds)
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id")
+  }
+
+  if (!Number.isFinite(watchedSeconds) || watchedSeconds < 0) {
+    throw new ApiError(400, "watchedSeconds must be a positive number")
+  }
+
+  const video = await Video.findById(videoId)
+    .select("owner duration visibility sharedWith processingStatus")
+
+  if (!video || !canViewVideo(req.user, video) || video.processingStatus !== "ready") {
+    throw new ApiError(404, "Video not found")
+  }
+
+  const { counted, reason } = await recordView({
+    video,
+    user: req.user,
+    sessionId: req.authSession?._id || req.personalAccessToken?._id,
+    // can't have watched more than the whole video
+    watchedSeconds: video.duration ? Math.min(watchedSeconds, video.duration) : watchedSeconds,
+    req
+  })
+
+  await recordWatchHistory(req.user, video._id)
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        counted,
+        reason,
+        minWatchSeconds: minWatchSecondsFor(video.duration)
+      },
+      counted ? "View counted" : "View recorded"
+    )
+  )
+})
+
+/* ======================================================
+   GET PROCESSING STATUS
+====================================================== */
+
+const getVideoProcessingStatus = asyncHandler(async (req, res) => {
 
   const { videoId } = req.params
-  const { title, description } = req.body
 
   if (!isValidObjectId(videoId)) {
     throw new ApiError(400, "Invalid video id")
   }
 
   const video = await Video.findById(videoId)
+    .select("owner processingStatus processingError duration")
 
   if (!video) {
     throw new ApiError(404, "Video not found")
   }
 
-  // Only owner can update
-  if (video.owner.toString() !== req.user._id.toString()) {
-    throw new ApiError(403, "Not allowed")
+  authorize(req.user, "video:update", video)
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        _id: video._id,
+        processingStatus: video.processingStatus,
+        processingError: video.processingError,
+        duration: video.duration
+      },
+      "Video status fetched successfully"
+    )
+  )
+})
+
+/* ======================================================
+   UPDATE VIDEO
+====================================================== */
+
+const updateVideo = asyncHandler(async (req, res) => {
+
+  const { videoId } = req.params
+  const { title, description } = req.body
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id")
+  }
+
+  const thumbnailLocalPath = req.file?.path
+
+  let video
+  let publishAt
+  let tags
+  let category
+
+  try {
+    // a date reschedules, null / "" cancels the schedule
+    publishAt = parsePublishAt(req.body.publishAt)
+    tags = parseTags(req.body.tags)
+    category = parseCategory(req.body.category)
+
+    video = await Video.findById(videoId).select("+thumbnailCandidates")
+
+    if (!video) {
+      throw new ApiError(404, "Video not found")
+    }
+
+    // Only owner (or admin) can update
+    authorize(req.user, "video:update", video)
+
+    if (publishAt) {
+      scheduleVideo(
+        video,
+        publishAt,
+        req.body.visibility || video.scheduledVisibility || VIDEO_VISIBILITY.PUBLIC
+      )
+    } else if (publishAt === null) {
+      cancelVideoSchedule(video)
+    }
+  } catch (error) {
+    if (thumbnailLocalPath) fs.rmSync(thumbnailLocalPath, { force: true })
+    throw error
   }
 
   if (title) video.title = title
   if (description) video.description = description
+  if (tags) video.tags = tags
+  if (category !== undefined) video.category = category || undefined
 
-  const thumbnailLocalPath = req.file?.path
+  // Custom thumbnail (resized like the generated ones)
+  let thumbnail
+  let replacedThumbnail
 
   if (thumbnailLocalPath) {
-    const thumbnail = await uploadOnCloudinary(thumbnailLocalPath)
+    try {
+      thumbnail = await storeThumbnail(thumbnailLocalPath, { access: video.mediaAccess })
+    } catch (error) {
+      throw new ApiError(500, "Thumbnail upload failed")
+    }
+
+    // candidate frames stay, the owner can switch back to them
+    if (!isCandidateThumbnail(video)) {
+      replacedThumbnail = {
+        thumbnail: video.thumbnail,
+        thumbnailPublicId: video.thumbnailPublicId,
+        thumbnailSizes: video.thumbnailSizes
+      }
+    }
+
     video.thumbnail = thumbnail.url
+    video.thumbnailPublicId = thumbnail.publicId
+    video.thumbnailSizes = thumbnail.sizes
+  }
+
+  try {
+    await video.save()
+  } catch (error) {
+    // the new files are unreferenced if the update didn't go through
+    if (thumbnail) {
+      await removeThumbnailFiles({
+        thumbnailPublicId: thumbnail.publicId,
+        thumbnail: thumbnail.url,
+        thumbnailSizes: thumbnail.sizes
+      })
+    }
+    throw error
+  }
+
+  // Remove the old files only once nothing points at them any more
+  if (replacedThumbnail) {
+    await removeThumbnailFiles(replacedThumbnail)
+  }
+
+  // scheduling makes it private
+  await syncVideoMediaAccess(video)
+
+  video.thumbnailCandidates = undefined
+
+  return res.status(200).json(
+    new ApiResponse(200, withVideoMediaUrls(video.toObject()), "Video updated successfully")
+  )
+})
+
+/* ======================================================
+   THUMBNAIL CANDIDATES (owner picks a generated frame)
+====================================================== */
+
+const getThumbnailCandidates = asyncHandler(async (req, res) => {
+
+  const { videoId } = req.params
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id")
+  }
+
+  const video = await Video.findById(videoId)
+    .select("owner thumbnail thumbnailPublicId thumbnailSizes mediaAccess +thumbnailCandidates")
+
+  if (!video) {
+    throw new ApiError(404, "Video not found")
+  }
+
+  authorize(req.user, "video:update", video)
+
+  const media = withVideoMediaUrls(video.toObject())
+
+  const candidates = media.thumbnailCandidates.map((candidate) => ({
+    _id: candidate._id,
+    url: candidate.url,
+    timestamp: candidate.timestamp,
+    sizes: candidate.sizes,
+    selected: candidate.publicId === video.thumbnailPublicId
+  }))
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        thumbnail: media.thumbnail,
+        thumbnailSizes: media.thumbnailSizes,
+        candidates
+      },
+      "Thumbnail candidates fetched successfully"
+    )
+  )
+})
+
+const selectThumbnail = asyncHandler(async (req, res) => {
+
+  const { videoId } = req.params
+  const { candidateId } = req.body
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id")
+  }
+
+  if (!candidateId || !isValidObjectId(candidateId)) {
+    throw new ApiError(400, "Valid candidateId required")
   }
 
+  const video = await Video.findById(videoId).select("+thumbnailCandidates")
+
+  if (!video) {
+    throw new ApiError(404, "Video not found")
+  }
+
+  authorize(req.user, "video:update", video)
+
+  const candidate = video.thumbnailCandidates.id(candidateId)
+
+  if (!candidate) {
+    throw new ApiError(404, "Thumbnail candidate not found")
+  }
+
+  // a custom upload being replaced is gone for good
+  const replacedThumbnail = isCandidateThumbnail(video)
+    ? null
+    : {
+      thumbnail: video.thumbnail,
+      thumbnailPublicId: video.thumbnailPublicId,
+      thumbnailSizes: video.thumbnailSizes
+    }
+
+  video.thumbnail = candidate.url
+  video.thumbnailPublicId = candidate.publicId
+  video.thumbnailSizes = candidate.sizes
   await video.save()
 
+  // saved first, so the document never points at deleted files
+  if (replacedThumbnail) {
+    await removeThumbnailFiles(replacedThumbnail)
+  }
+
+  video.thumbnailCandidates = undefined
+
   return res.status(200).json(
-    new ApiResponse(200, video, "Video updated successfully")
+    new ApiResponse(200, withVideoMediaUrls(video.toObject()), "Thumbnail updated successfully")
   )
 })
 
@@ -207,29 +588,58 @@ const deleteVideo = asyncHandler(async (req, res) => {
   const { videoId } = req.params
 
   const video = await Video.findById(videoId)
+    .select("+hlsFilePublicIds +thumbnailCandidates")
 
   if (!video) {
     throw new ApiError(404, "Video not found")
   }
 
-  if (video.owner.toString() !== req.user._id.toString()) {
-    throw new ApiError(403, "Not allowed")
-  }
+  authorize(req.user, "video:delete", video)
 
   await Video.findByIdAndDelete(videoId)
 
+  // Remove the files too, otherwise they stay in storage forever
+  await removeStoredFile({
+    publicId: video.videoFilePublicId,
+    url: video.videoFile,
+    resourceType: "video"
+  })
+  await removeThumbnailFiles(video)
+  await removeHlsFiles(video.hlsFilePublicIds)
+
   return res.status(200).json(
     new ApiResponse(200, {}, "Video deleted successfully")
   )
 })
 
 /* ======================================================
-   TOGGLE PUBLISH STATUS
+   UPDATE VISIBILITY (public / unlisted / private + share list)
 ====================================================== */
 
-const togglePublishStatus = asyncHandler(async (req, res) => {
+const MAX_SHARED_USERS = 100
+
+const updateVideoVisibility = asyncHandler(async (req, res) => {
 
   const { videoId } = req.params
+  const { visibility, sharedWith } = req.body
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id")
+  }
+
+  if (visibility && !Object.values(VIDEO_VISIBILITY).includes(visibility)) {
+    throw new ApiError(400, "Invalid visibility")
+  }
+
+  if (sharedWith !== undefined) {
+    if (!Array.isArray(sharedWith) || !sharedWith.every(isValidObjectId)) {
+      throw new ApiError(400, "sharedWith must be a list of user ids")
+    }
+
+    if (sharedWith.length > MAX_SHARED_USERS) {
+      throw new ApiError(400, `A video can be shared with at most ${MAX_SHARED_USERS} users`)
+    }
+  }
 
   const video = await Video.findById(videoId)
 
@@ -237,11 +647,35 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Video not found")
   }
 
-  video.isPublished = !video.isPublished
+  authorize(req.user, "video:publish", video)
+
+  // setting a visibility by hand replaces any schedule
+  if (visibility) {
+    video.visibility = visibility
+    cancelVideoSchedule(video)
+    markPublished(video)
+  }
+
+  if (sharedWith !== undefined) {
+    const uniqueIds = [...new Set(sharedWith.map(String))]
+      .filter((userId) => userId !== video.owner.toString())
+
+    const existingCount = await User.countDocuments({ _id: { $in: uniqueIds } })
+
+    if (existingCount !== uniqueIds.length) {
+      throw new ApiError(404, "Some users in sharedWith do not exist")
+    }
+
+    video.sharedWith = uniqueIds
+  }
+
   await video.save()
 
+  // the stored files follow (private files need signed urls)
+  await syncVideoMediaAccess(video)
+
   return res.status(200).json(
-    new ApiResponse(200, video, "Publish status updated")
+    new ApiResponse(200, withVideoMediaUrls(video.toObject()), "Video visibility updated")
   )
 })
 
@@ -249,9 +683,15 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
 
 export {
   getAllVideos,
+  getPopularTags,
+  getVideosByTag,
   publishAVideo,
   getVideoById,
+  recordVideoView,
+  getVideoProcessingStatus,
   updateVideo,
+  getThumbnailCandidates,
+  selectThumbnail,
   deleteVideo,
-  togglePublishStatus
+  updateVideoVisibility
 }
@@ -0,0 +1,186 @@
+import mongoose, { isValidObjectId } from "mongoose"
+import { User } from "../models/user.model.js"
+import { WatchHistory } from "../models/watchHistory.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { escapeRegex } from "../utils/escapeRegex.js"
+import { viewableVideoMatch } from "../utils/videoVisibility.js"
+import { withVideoMediaUrls } from "../utils/videoMedia.js"
+
+/* ======================================================
+   GET WATCH HISTORY (last watched first, searchable)
+====================================================== */
+
+const getWatchHistory = asyncHandler(async (req, res) => {
+
+  const { page = 1, limit = 20, query } = req.query
+
+  const videoMatch = {
+    // videos made private since they were watched drop out
+    ...viewableVideoMatch(req.user),
+    ...(query && { title: { $regex: escapeRegex(query), $options: "i" } })
+  }
+
+  const pipeline = [
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(req.user._id)
+      }
+    },
+    { $sort: { lastWatchedAt: -1 } },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "video",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          { $match: videoMatch },
+          {
+            $project: {
+              title: 1,
+              description: 1,
+              thumbnail: 1,
+              thumbnailPublicId: 1,
+              thumbnailSizes: 1,
+              mediaAccess: 1,
+              duration: 1,
+              views: 1,
+              owner: 1,
+              createdAt: 1
+            }
+          },
+          {
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "owner",
+              pipeline: [
+                {
+                  $project: {
+                    fullname: 1,
+                    username: 1,
+                    avatar: 1
+                  }
+                }
+              ]
+            }
+          },
+          {
+            $addFields: {
+              owner: { $first: "$owner" }
+            }
+          }
+        ]
+      }
+    },
+    {
+      $addFields: {
+        video: { $first: "$video" }
+      }
+    },
+    { $match: { video: { $ne: null } } },
+    {
+      $project: {
+        video: 1,
+        lastWatchedAt: 1
+      }
+    }
+  ]
+
+  const history = await WatchHistory.aggregatePaginate(
+    WatchHistory.aggregate(pipeline),
+    { page: Number(page), limit: Number(limit) }
+  )
+
+  const docs = history.docs.map((entry) => ({
+    ...entry,
+    video: withVideoMediaUrls(entry.video)
+  }))
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { ...history, docs, paused: Boolean(req.user.watchHistoryPaused) },
+      "Watch history fetched successfully"
+    )
+  )
+})
+
+/* ======================================================
+   REMOVE ONE VIDEO FROM HISTORY
+====================================================== */
+
+const removeWatchHistoryEntry = asyncHandler(async (req, res) => {
+
+  const { videoId } = req.params
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id")
+  }
+
+  const { deletedCount } = await WatchHistory.deleteOne({
+    user: req.user._id,
+    video: videoId
+  })
+
+  if (!deletedCount) {
+    throw new ApiError(404, "Video not in watch history")
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, {}, "Removed from watch history")
+  )
+})
+
+/* ======================================================
+   CLEAR HISTORY
+====================================================== */
+
+const clearWatchHistory = asyncHandler(async (req, res) => {
+
+  const { deletedCount } = await WatchHistory.deleteMany({
+    user: req.user._id
+  })
+
+  return res.status(200).json(
+    new ApiResponse(200, { deletedCount }, "Watch history cleared")
+  )
+})
+
+/* ======================================================
+   PAUSE / RESUME HISTORY RECORDING
+====================================================== */
+
+const updateWatchHistoryPaused = asyncHandler(async (req, res) => {
+
+  const { paused } = req.body
+
+  if (typeof paused !== "boolean") {
+    throw new ApiError(400, "paused must be true or false")
+  }
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { watchHistoryPaused: paused } }
+  )
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { paused },
+      paused ? "Watch history paused" : "Watch history resumed"
+    )
+  )
+})
+
+/* ====================================================== */
+
+export {
+  getWatchHistory,
+  removeWatchHistoryEntry,
+  clearWatchHistory,
+  updateWatchHistoryPaused
+}
@@ -0,0 +1,163 @@
+import mongoose, { isValidObjectId } from "mongoose"
+import { Video } from "../models/video.model.js"
+import { WatchProgress } from "../models/watchProgress.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { canViewVideo, viewableVideoMatch } from "../utils/videoVisibility.js"
+import { withVideoMediaUrls } from "../utils/videoMedia.js"
+import { MIN_RESUME_SECONDS, isWatchCompleted } from "../utils/watchProgress.js"
+import { recordWatchHistory } from "../utils/watchHistory.js"
+
+/* ======================================================
+   UPDATE WATCH PROGRESS (player reports its position)
+====================================================== */
+
+const updateWatchProgress = asyncHandler(async (req, res) => {
+
+  const { videoId } = req.params
+  const position = Number(req.body?.position)
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id")
+  }
+
+  if (!Number.isFinite(position) || position < 0) {
+    throw new ApiError(400, "position must be a positive number of seconds")
+  }
+
+  const video = await Video.findById(videoId)
+    .select("owner duration visibility sharedWith")
+
+  if (!video || !canViewVideo(req.user, video)) {
+    throw new ApiError(404, "Video not found")
+  }
+
+  const clampedPosition = video.duration ? Math.min(position, video.duration) : position
+
+  const progress = await WatchProgress.findOneAndUpdate(
+    { user: req.user._id, video: video._id },
+    {
+      $set: {
+        position: clampedPosition,
+        completed: isWatchCompleted(clampedPosition, video.duration),
+        lastWatchedAt: new Date()
+      }
+    },
+    { upsert: true, new: true }
+  )
+
+  await recordWatchHistory(req.user, video._id)
+
+  return res.status(200).json(
+    new ApiResponse(200, progress, "Watch progress saved")
+  )
+})
+
+/* ======================================================
+   CONTINUE WATCHING (partially watched videos)
+====================================================== */
+
+const getContinueWatching = asyncHandler(async (req, res) => {
+
+  const { page = 1, limit = 10 } = req.query
+
+  const pipeline = [
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(req.user._id),
+        completed: false,
+        position: { $gte: MIN_RESUME_SECONDS }
+      }
+    },
+    { $sort: { lastWatchedAt: -1 } },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "video",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          // may have gone private or been deleted since
+          {
+            $match: {
+              ...viewableVideoMatch(req.user),
+              processingStatus: "ready"
+            }
+          },
+          {
+            $project: {
+              title: 1,
+              thumbnail: 1,
+              thumbnailPublicId: 1,
+              thumbnailSizes: 1,
+              mediaAccess: 1,
+              duration: 1,
+              views: 1,
+              owner: 1,
+              createdAt: 1
+            }
+          },
+          {
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "owner",
+              pipeline: [
+                {
+                  $project: {
+                    username: 1,
+                    avatar: 1
+                  }
+                }
+              ]
+            }
+          },
+          {
+            $addFields: {
+              owner: { $first: "$owner" }
+            }
+          }
+        ]
+      }
+    },
+    {
+      $addFields: {
+        video: { $first: "$video" }
+      }
+    },
+    { $match: { video: { $ne: null } } },
+    {
+      $project: {
+        video: 1,
+        resumeAt: "$position",
+        lastWatchedAt: 1
+      }
+    }
+  ]
+
+  const progress = await WatchProgress.aggregatePaginate(
+    WatchProgress.aggregate(pipeline),
+    { page: Number(page), limit: Number(limit) }
+  )
+
+  const videos = {
+    ...progress,
+    docs: progress.docs.map((entry) => ({
+      ...entry,
+      video: withVideoMediaUrls(entry.video)
+    }))
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, videos, "Continue watching fetched successfully")
+  )
+})
+
+/* ====================================================== */
+
+export {
+  updateWatchProgress,
+  getContinueWatching
+}
@@ -4,6 +4,14 @@ import mongoose from "mongoose";
 import { DB_NAME } from "./constants.js";
 import connectDB from "./db/index.js";
 import {app} from './app.js'
+import { startAccountDeletionJob } from "./jobs/accountDeletion.job.js";
+import { startDataExportJob } from "./jobs/dataExport.job.js";
+import { startUploadSessionCleanupJob } from "./jobs/uploadSession.job.js";
+import { startVideoSchedulerJob } from "./jobs/videoScheduler.job.js";
+import { startJobWorker } from "./jobs/queue.js";
+import { registerVideoProcessingJob } from "./jobs/videoProcessing.job.js";
+import { registerVideoTranscodingJob } from "./jobs/videoTranscoding.job.js";
+import { registerVideoMediaAccessJob } from "./jobs/videoMediaAccess.job.js";
 import "./models/user.model.js";
 
 
@@ -12,8 +20,43 @@ dotenv.config({
   path: "./.env",
 });
 
+// every kind of token signs with its own secret
+const TOKEN_SECRETS = [
+  "ACCESS_TOKEN_SECRET",
+  "REFRESH_TOKEN_SECRET",
+  "TWO_FACTOR_CHALLENGE_SECRET",
+];
+
+const missingSecrets = TOKEN_SECRETS.filter((name) => !process.env[name]);
+
+if (missingSecrets.length) {
+  console.log(`Missing token secrets: ${missingSecrets.join(", ")}`);
+  process.exit(1);
+}
+
+if (new Set(TOKEN_SECRETS.map((name) => process.env[name])).size !== TOKEN_SECRETS.length) {
+  console.log("Token secrets must all be different");
+  process.exit(1);
+}
+
+// private local files are served by signed /media urls
+if (process.env.STORAGE_PROVIDER === "local" && !process.env.STORAGE_SIGNING_SECRET) {
+  console.log("STORAGE_SIGNING_SECRET is required with the local storage provider");
+  process.exit(1);
+}
+
 connectDB()
   .then(() => {
+    startAccountDeletionJob();
+    startDataExportJob();
+    startUploadSessionCleanupJob();
+    startVideoSchedulerJob();
+
+    registerVideoProcessingJob();
+    registerVideoTranscodingJob();
+    registerVideoMediaAccessJob();
+    startJobWorker();
+
     app.listen(process.env.PORT || 8000, () => {
       console.log(`The server is running at port ${process.env.PORT}`);
     });
@@ -0,0 +1,35 @@
+import { User } from "../models/user.model.js";
+import { purgeUserAccount } from "../utils/accountCleanup.js";
+
+/*
+  Purges accounts whose deletion grace period is over.
+  Runs inside the API process, every instance may run it - purging is idempotent.
+*/
+
+const ACCOUNT_DELETION_INTERVAL_MS = 60 * 60 * 1000;
+
+const purgeDueAccounts = async () => {
+  const dueUsers = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+  }).select("_id");
+
+  for (const user of dueUsers) {
+    try {
+      await purgeUserAccount(user._id);
+    } catch (error) {
+      console.log("Account deletion failed", user._id.toString(), error);
+    }
+  }
+};
+
+const startAccountDeletionJob = (intervalMs = ACCOUNT_DELETION_INTERVAL_MS) => {
+  const run = () =>
+    purgeDueAccounts().catch((error) =>
+      console.log("Account deletion job failed", error)
+    );
+
+  run();
+  return setInterval(run, intervalMs).unref();
+};
+
+export { purgeDueAccounts, startAccountDeletionJob };
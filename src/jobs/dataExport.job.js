@@ -0,0 +1,57 @@
+import fs from "fs";
+import { DataExport } from "../models/dataExport.model.js";
+import {
+  buildDataExport,
+  claimPendingDataExport,
+  failStaleDataExports,
+} from "../utils/dataExport.js";
+
+/*
+  Builds data exports in the background, fails the ones a crashed
+  worker left in "processing" and removes expired ones.
+*/
+
+const DATA_EXPORT_INTERVAL_MS = 30 * 1000;
+
+let running = false;
+
+const processPendingDataExports = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    let dataExport;
+    while ((dataExport = await claimPendingDataExport())) {
+      await buildDataExport(dataExport);
+    }
+  } finally {
+    running = false;
+  }
+};
+
+const removeExpiredDataExports = async () => {
+  const expired = await DataExport.find({
+    expiresAt: { $lte: new Date() },
+  }).select("+filePath");
+
+  for (const dataExport of expired) {
+    if (dataExport.filePath) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+    }
+    await DataExport.deleteOne({ _id: dataExport._id });
+  }
+};
+
+const startDataExportJob = (intervalMs = DATA_EXPORT_INTERVAL_MS) => {
+  const run = () =>
+    Promise.all([
+      processPendingDataExports(),
+      failStaleDataExports(),
+      removeExpiredDataExports(),
+    ]).catch((error) => console.log("Data export job failed", error));
+
+  run();
+  return setInterval(run, intervalMs).unref();
+};
+
+export { processPendingDataExports, startDataExportJob };
@@ -0,0 +1,164 @@
+import os from "os";
+import { Job } from "../models/job.model.js";
+
+/*
+  Small Mongo backed job queue.
+
+  registerJobHandler(type, { run, onFailed, concurrency }) declares what a job
+  type does, enqueueJob(type, payload) schedules one, startJobWorker() polls
+  and runs them. Every type has its own loops (concurrency, default 1), so a
+  multi-hour transcode never holds up the short jobs behind it.
+  Failed runs are retried with exponential backoff until maxAttempts,
+  then onFailed(payload, error) is called once.
+  Every API instance may run a worker, claiming a job is atomic, and only
+  the worker still holding the lock may record how a run ended.
+  Finished jobs are removed after JOB_RETENTION_DAYS.
+*/
+
+const JOB_POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const JOB_RETRY_BASE_SECONDS = Number(process.env.JOB_RETRY_BASE_SECONDS) || 30;
+const JOB_LOCK_TIMEOUT_MS = 10 * 60 * 1000; // a running job not refreshed for this long is considered dead
+const JOB_HEARTBEAT_INTERVAL_MS = 60 * 1000;
+const JOB_RETENTION_DAYS = Number(process.env.JOB_RETENTION_DAYS) || 7;
+
+const workerId = `${os.hostname()}:${process.pid}`;
+const handlers = new Map();
+const activeLoops = new Map(); // type -> loops currently draining it
+
+const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+const enqueueJob = (type, payload = {}, { maxAttempts, runAt } = {}) => {
+  return Job.create({ type, payload, maxAttempts, runAt });
+};
+
+const claimNextJob = (type) => {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      type,
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        // worker died while running it
+        { status: "running", lockedAt: { $lt: new Date(now - JOB_LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    {
+      $set: { status: "running", lockedAt: now, lockedBy: workerId },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// keeps lockedAt fresh so long jobs aren't claimed a second time
+const startHeartbeat = (job) => {
+  const beat = () =>
+    Job.updateOne(
+      { _id: job._id, status: "running", lockedBy: workerId },
+      { $set: { lockedAt: new Date() } }
+    ).catch((error) => console.log(`Job ${job._id} heartbeat failed`, error));
+
+  return setInterval(beat, JOB_HEARTBEAT_INTERVAL_MS).unref();
+};
+
+// updates the job only while this worker still holds it, false if the lock was lost
+const finishRun = async (job, update) => {
+  const result = await Job.updateOne(
+    { _id: job._id, status: "running", lockedBy: workerId, attempts: job.attempts },
+    { ...update, $unset: { lockedAt: 1, lockedBy: 1 } }
+  );
+
+  if (!result.matchedCount) {
+    console.log(`Job ${job._id} was taken over by another worker, result dropped`);
+  }
+
+  return result.matchedCount > 0;
+};
+
+const retentionExpiry = () =>
+  new Date(Date.now() + JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+  const heartbeat = startHeartbeat(job);
+
+  try {
+    await handler.run(job.payload, job);
+    clearInterval(heartbeat);
+
+    await finishRun(job, {
+      $set: { status: "succeeded", completedAt: new Date(), expiresAt: retentionExpiry() },
+    });
+  } catch (error) {
+    clearInterval(heartbeat);
+    const message = error?.message || String(error);
+
+    if (job.attempts >= job.maxAttempts) {
+      const finished = await finishRun(job, {
+        $set: {
+          status: "failed",
+          lastError: message,
+          completedAt: new Date(),
+          expiresAt: retentionExpiry(),
+        },
+      });
+
+      if (finished) await handler.onFailed?.(job.payload, error, job);
+      return;
+    }
+
+    const backoffSeconds = JOB_RETRY_BASE_SECONDS * 2 ** (job.attempts - 1);
+
+    const requeued = await finishRun(job, {
+      $set: {
+        status: "queued",
+        lastError: message,
+        runAt: new Date(Date.now() + backoffSeconds * 1000),
+      },
+    });
+
+    if (requeued) await handler.onRetry?.(job.payload, error, job);
+  }
+};
+
+// runs jobs of one type one after another until none is due
+const drainJobType = async (type) => {
+  activeLoops.set(type, (activeLoops.get(type) || 0) + 1);
+
+  try {
+    let job;
+    while ((job = await claimNextJob(type))) {
+      await runJob(job);
+    }
+  } finally {
+    activeLoops.set(type, activeLoops.get(type) - 1);
+  }
+};
+
+// tops every job type up to its concurrency
+const processDueJobs = async () => {
+  const loops = [];
+
+  for (const [type, handler] of handlers) {
+    const concurrency = handler.concurrency || 1;
+
+    while ((activeLoops.get(type) || 0) < concurrency) {
+      loops.push(drainJobType(type));
+    }
+  }
+
+  await Promise.all(loops);
+};
+
+const startJobWorker = (intervalMs = JOB_POLL_INTERVAL_MS) => {
+  const run = () =>
+    processDueJobs().catch((error) => console.log("Job worker failed", error));
+
+  run();
+  return setInterval(run, intervalMs).unref();
+};
+
+export { registerJobHandler, enqueueJob, processDueJobs, startJobWorker };
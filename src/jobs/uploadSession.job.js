@@ -0,0 +1,48 @@
+import { UploadSession } from "../models/uploadSession.model.js";
+import { removeChunks } from "../utils/uploadChunks.js";
+
+/*
+  Drops expired upload sessions and their chunks from TEMP_DIR, plus
+  sessions stuck in "finalizing" (the request died halfway through).
+*/
+
+const UPLOAD_SESSION_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// finalizing takes minutes at most, anything older was abandoned
+const UPLOAD_FINALIZING_TIMEOUT_MINUTES =
+  Number(process.env.UPLOAD_FINALIZING_TIMEOUT_MINUTES) || 60;
+
+const removeExpiredUploadSessions = async () => {
+  const now = new Date();
+
+  const expired = await UploadSession.find({
+    $or: [
+      { expiresAt: { $lte: now }, status: { $ne: "finalizing" } },
+      {
+        status: "finalizing",
+        updatedAt: {
+          $lte: new Date(now - UPLOAD_FINALIZING_TIMEOUT_MINUTES * 60 * 1000),
+        },
+      },
+    ],
+  }).select("_id");
+
+  for (const uploadSession of expired) {
+    await removeChunks(uploadSession._id);
+    await UploadSession.deleteOne({ _id: uploadSession._id });
+  }
+};
+
+const startUploadSessionCleanupJob = (
+  intervalMs = UPLOAD_SESSION_CLEANUP_INTERVAL_MS
+) => {
+  const run = () =>
+    removeExpiredUploadSessions().catch((error) =>
+      console.log("Upload session cleanup failed", error)
+    );
+
+  run();
+  return setInterval(run, intervalMs).unref();
+};
+
+export { removeExpiredUploadSessions, startUploadSessionCleanupJob };
@@ -0,0 +1,49 @@
+import { Video } from "../models/video.model.js";
+import { getStorage } from "../utils/storage.js";
+import { mediaAccessFor, videoMediaFiles } from "../utils/videoMedia.js";
+import { registerJobHandler } from "./queue.js";
+
+/*
+  "video.media-access": moves every stored file of a video to the access
+  its visibility asks for (see utils/videoMedia.js), then records it in
+  mediaAccess. Moving is idempotent, a retry only moves what is left.
+  If the visibility changed meanwhile it goes again for the new one.
+*/
+
+const VIDEO_MEDIA_FIELDS = "+thumbnailCandidates +hlsFilePublicIds";
+
+const moveVideoMedia = async ({ videoId }) => {
+  const storage = getStorage();
+  let video = await Video.findById(videoId).select(VIDEO_MEDIA_FIELDS);
+
+  while (video) {
+    const access = mediaAccessFor(video);
+    const files = videoMediaFiles(video);
+
+    for (const { publicId, resourceType } of files) {
+      await storage.setAccess(publicId, { resourceType, access });
+    }
+
+    // signed urls need the public ids, older videos only had urls
+    const backfill = {};
+    const videoFile = !video.videoFilePublicId && storage.publicIdFromUrl(video.videoFile);
+    const thumbnail = !video.thumbnailPublicId && storage.publicIdFromUrl(video.thumbnail);
+    if (videoFile) backfill.videoFilePublicId = videoFile.publicId;
+    if (thumbnail) backfill.thumbnailPublicId = thumbnail.publicId;
+
+    const updated = await Video.updateOne(
+      { _id: videoId, visibility: video.visibility },
+      { $set: { mediaAccess: access, ...backfill } }
+    );
+
+    if (updated.matchedCount) return;
+
+    video = await Video.findById(videoId).select(VIDEO_MEDIA_FIELDS);
+  }
+};
+
+const registerVideoMediaAccessJob = () => {
+  registerJobHandler("video.media-access", { run: moveVideoMedia });
+};
+
+export { registerVideoMediaAccessJob };
@@ -0,0 +1,141 @@
+import fs from "fs";
+import path from "path";
+import { Video } from "../models/video.model.js";
+import { getStorage } from "../utils/storage.js";
+import { markPublished } from "../utils/videoVisibility.js";
+import { syncVideoMediaAccess } from "../utils/videoMedia.js";
+import { storeThumbnail, generateThumbnailCandidates } from "../utils/thumbnails.js";
+import { enqueueJob, registerJobHandler } from "./queue.js";
+import { publishScheduledVideo } from "./videoScheduler.job.js";
+import {
+  isTranscodingEnabled,
+  transcodeSourcePathFor,
+} from "./videoTranscoding.job.js";
+
+/*
+  "video.process": uploads the temp files of a freshly published video,
+  and marks the video ready (or failed after the last retry).
+  Each step is skipped if an earlier attempt already did it.
+
+  Thumbnails come first: without an uploaded one the candidate frames
+  are cut from the local video, which the video upload removes.
+  Everything is stored with the video's mediaAccess, the files of a
+  private upload are never public.
+*/
+
+const removeLocalFiles = (...filePaths) => {
+  for (const filePath of filePaths) {
+    if (filePath) fs.rmSync(filePath, { force: true });
+  }
+};
+
+const processVideo = async ({ videoId, videoLocalPath, thumbnailLocalPath }) => {
+  const video = await Video.findById(videoId).select("+thumbnailCandidates");
+
+  // deleted while waiting in the queue
+  if (!video) {
+    removeLocalFiles(videoLocalPath, thumbnailLocalPath);
+    return;
+  }
+
+  const storage = getStorage();
+  const transcodeSourcePath = transcodeSourcePathFor(videoId, videoLocalPath);
+
+  if (!video.thumbnailPublicId) {
+    if (thumbnailLocalPath) {
+      const thumbnail = await storeThumbnail(thumbnailLocalPath, {
+        keepLocalFileOnError: true,
+        access: video.mediaAccess,
+      });
+
+      video.thumbnail = thumbnail.url;
+      video.thumbnailPublicId = thumbnail.publicId;
+      video.thumbnailSizes = thumbnail.sizes;
+    } else {
+      const candidates = await generateThumbnailCandidates(videoLocalPath, video.duration, {
+        access: video.mediaAccess,
+      });
+
+      if (!candidates.length) throw new Error("Thumbnail generation failed");
+
+      // the middle frame until the owner picks another one
+      const chosen = candidates[Math.floor(candidates.length / 2)];
+
+      video.thumbnailCandidates = candidates;
+      video.thumbnail = chosen.url;
+      video.thumbnailPublicId = chosen.publicId;
+      video.thumbnailSizes = chosen.sizes;
+    }
+
+    await video.save({ validateBeforeSave: false });
+  }
+
+  if (!video.videoFilePublicId) {
+    // upload removes the temp file, the transcoder gets its own copy
+    if (isTranscodingEnabled()) {
+      await fs.promises.mkdir(path.dirname(transcodeSourcePath), { recursive: true });
+      await fs.promises.copyFile(videoLocalPath, transcodeSourcePath);
+    }
+
+    const videoFile = await storage.upload(videoLocalPath, {
+      folder: "videos",
+      resourceType: "video",
+      keepLocalFileOnError: true,
+      access: video.mediaAccess,
+    });
+
+    if (!videoFile) throw new Error("Video upload failed");
+
+    video.videoFile = videoFile.url;
+    video.videoFilePublicId = videoFile.publicId;
+    await video.save({ validateBeforeSave: false });
+  }
+
+  video.processingStatus = "ready";
+  video.processingError = undefined;
+  markPublished(video);
+
+  if (isTranscodingEnabled() && fs.existsSync(transcodeSourcePath)) {
+    video.transcodingStatus = "queued";
+
+    await enqueueJob(
+      "video.transcode",
+      { videoId, sourcePath: transcodeSourcePath },
+      { maxAttempts: 3 }
+    );
+  }
+
+  await video.save();
+
+  // made public / private while the files were uploaded
+  await syncVideoMediaAccess(await Video.findById(videoId), {
+    filesAccess: video.mediaAccess,
+  });
+
+  // its schedule passed while it was processing, it goes live now
+  if (video.publishAt && video.publishAt <= new Date()) {
+    await publishScheduledVideo(video._id);
+  }
+};
+
+const markVideoFailed = async ({ videoId, videoLocalPath, thumbnailLocalPath }, error) => {
+  removeLocalFiles(
+    videoLocalPath,
+    thumbnailLocalPath,
+    transcodeSourcePathFor(videoId, videoLocalPath)
+  );
+
+  await Video.updateOne(
+    { _id: videoId },
+    { $set: { processingStatus: "failed", processingError: error?.message } }
+  );
+};
+
+const registerVideoProcessingJob = () => {
+  registerJobHandler("video.process", {
+    run: processVideo,
+    onFailed: markVideoFailed,
+  });
+};
+
+export { registerVideoProcessingJob };
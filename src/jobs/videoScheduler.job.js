@@ -0,0 +1,87 @@
+import { Video } from "../models/video.model.js";
+import { VIDEO_VISIBILITY } from "../constants.js";
+import { appEvents } from "../utils/events.js";
+import { markPublished } from "../utils/videoVisibility.js";
+import { syncVideoMediaAccess } from "../utils/videoMedia.js";
+
+/*
+  Publishes scheduled videos once their publishAt has passed
+  and emits "video.published" for each one.
+  Only ready videos go live: one still processing stays scheduled
+  (and private), the processing job publishes it once it is ready,
+  a failed one never goes live.
+  Every instance may run it, the update is claimed per video so
+  only one of them publishes (and emits) a given video.
+*/
+
+const VIDEO_SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+// publishes one ready video whose publishAt has passed, false if there was nothing to do
+const publishScheduledVideo = async (videoId, now = new Date()) => {
+  const dueVideo = await Video.findOne({
+    _id: videoId,
+    publishAt: { $lte: now },
+    processingStatus: "ready",
+  }).select("_id scheduledVisibility");
+
+  if (!dueVideo) return false;
+
+  const visibility = dueVideo.scheduledVisibility || VIDEO_VISIBILITY.PUBLIC;
+
+  const video = await Video.findOneAndUpdate(
+    { _id: dueVideo._id, publishAt: { $lte: now }, processingStatus: "ready" },
+    {
+      $set: { visibility },
+      $unset: { publishAt: "", scheduledVisibility: "" },
+    },
+    { new: true }
+  ).select("_id owner visibility processingStatus publishedAt mediaAccess");
+
+  // rescheduled, cancelled or taken by another instance
+  if (!video) return false;
+
+  markPublished(video);
+  if (video.isModified("publishedAt")) {
+    await Video.updateOne(
+      { _id: video._id },
+      { $set: { publishedAt: video.publishedAt } }
+    );
+  }
+
+  // its files were stored private while it was scheduled
+  await syncVideoMediaAccess(video);
+
+  appEvents.emit("video.published", {
+    videoId: video._id,
+    owner: video.owner,
+    visibility: video.visibility,
+    publishedAt: now,
+  });
+
+  return true;
+};
+
+const publishDueVideos = async () => {
+  const now = new Date();
+
+  const dueVideoIds = await Video.find({
+    publishAt: { $lte: now },
+    processingStatus: "ready",
+  }).distinct("_id");
+
+  for (const videoId of dueVideoIds) {
+    await publishScheduledVideo(videoId, now);
+  }
+};
+
+const startVideoSchedulerJob = (intervalMs = VIDEO_SCHEDULER_INTERVAL_MS) => {
+  const run = () =>
+    publishDueVideos().catch((error) =>
+      console.log("Video scheduler failed", error)
+    );
+
+  run();
+  return setInterval(run, intervalMs).unref();
+};
+
+export { publishScheduledVideo, publishDueVideos, startVideoSchedulerJob };
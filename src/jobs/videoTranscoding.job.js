@@ -0,0 +1,161 @@
+import fs from "fs";
+import path from "path";
+import { Video } from "../models/video.model.js";
+import { getStorage } from "../utils/storage.js";
+import { tempPath } from "../utils/tempDir.js";
+import { probeVideo } from "../utils/ffmpeg.js";
+import { syncVideoMediaAccess } from "../utils/videoMedia.js";
+import {
+  pickRenditions,
+  transcodeRendition,
+  rewritePlaylist,
+  buildMasterPlaylist,
+  removeHlsFiles,
+} from "../utils/hls.js";
+import { registerJobHandler } from "./queue.js";
+
+/*
+  "video.transcode": turns the uploaded source into HLS renditions
+  (see utils/hls.js), stores every playlist and segment through the
+  configured storage and records them on the Video.
+  The raw upload keeps working as a fallback if this fails.
+  Files are stored with the video's mediaAccess.
+*/
+
+const TRANSCODE_SOURCE_DIR = tempPath("transcode");
+const HLS_WORK_DIR = tempPath("hls");
+
+const isTranscodingEnabled = () => process.env.TRANSCODING_ENABLED !== "false";
+
+const transcodeSourcePathFor = (videoId, originalPath) =>
+  path.join(TRANSCODE_SOURCE_DIR, `${videoId}${path.extname(originalPath)}`);
+
+const uploadHlsFile = async (filePath, folder, uploadedIds, access) => {
+  const storedFile = await getStorage().upload(filePath, {
+    folder,
+    resourceType: "raw",
+    access,
+  });
+
+  if (!storedFile) throw new Error(`Upload of ${path.basename(filePath)} failed`);
+
+  uploadedIds.push(storedFile.publicId);
+  return storedFile;
+};
+
+const transcodeVideo = async ({ videoId, sourcePath }) => {
+  const video = await Video.findById(videoId).select("+hlsFilePublicIds");
+
+  if (!video) {
+    fs.rmSync(sourcePath, { force: true });
+    return;
+  }
+
+  await Video.updateOne({ _id: videoId }, { $set: { transcodingStatus: "processing" } });
+
+  // videos from before publish-time probing have no stored dimensions
+  const source = video.metadata?.height ? video.metadata : await probeVideo(sourcePath);
+
+  if (!source) throw new Error("Source has no video stream");
+
+  const workDir = path.join(HLS_WORK_DIR, videoId);
+  const folder = `hls/${videoId}`;
+  const uploadedIds = [];
+
+  try {
+    const renditions = [];
+
+    for (const rendition of pickRenditions(source.height)) {
+      const outputDir = path.join(workDir, rendition.name);
+      await transcodeRendition(sourcePath, outputDir, rendition, {
+        duration: source.duration || video.duration,
+      });
+
+      // segments first, the playlist needs their urls
+      const urlsByFileName = {};
+      const segmentNames = (await fs.promises.readdir(outputDir))
+        .filter((name) => name.endsWith(".ts"))
+        .sort();
+
+      for (const name of segmentNames) {
+        const segment = await uploadHlsFile(
+          path.join(outputDir, name),
+          `${folder}/${rendition.name}`,
+          uploadedIds,
+          video.mediaAccess
+        );
+        urlsByFileName[name] = segment.url;
+      }
+
+      const playlistPath = path.join(outputDir, "index.m3u8");
+      const playlist = await fs.promises.readFile(playlistPath, "utf8");
+      await fs.promises.writeFile(playlistPath, rewritePlaylist(playlist, urlsByFileName));
+
+      const storedPlaylist = await uploadHlsFile(
+        playlistPath,
+        `${folder}/${rendition.name}`,
+        uploadedIds,
+        video.mediaAccess
+      );
+
+      renditions.push({
+        name: rendition.name,
+        width: Math.round((source.width * rendition.height) / source.height / 2) * 2,
+        height: rendition.height,
+        bandwidth: (rendition.videoBitrate + rendition.audioBitrate) * 1000,
+        playlistUrl: storedPlaylist.url,
+      });
+    }
+
+    const masterPath = path.join(workDir, "master.m3u8");
+    await fs.promises.writeFile(masterPath, buildMasterPlaylist(renditions));
+    const master = await uploadHlsFile(masterPath, folder, uploadedIds, video.mediaAccess);
+
+    // a re-transcode replaces the old output
+    await removeHlsFiles(video.hlsFilePublicIds);
+
+    await Video.updateOne(
+      { _id: videoId },
+      {
+        $set: {
+          transcodingStatus: "ready",
+          manifestUrl: master.url,
+          renditions,
+          hlsFilePublicIds: uploadedIds,
+        },
+      }
+    );
+
+    fs.rmSync(sourcePath, { force: true });
+  } catch (error) {
+    // keep the source for the retry, drop this attempt's output
+    await removeHlsFiles(uploadedIds);
+    throw error;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+
+  // made public / private while transcoding
+  await syncVideoMediaAccess(await Video.findById(videoId), {
+    filesAccess: video.mediaAccess,
+  });
+};
+
+const markTranscodingFailed = async ({ videoId, sourcePath }) => {
+  fs.rmSync(sourcePath, { force: true });
+
+  await Video.updateOne({ _id: videoId }, { $set: { transcodingStatus: "failed" } });
+};
+
+const registerVideoTranscodingJob = () => {
+  registerJobHandler("video.transcode", {
+    run: transcodeVideo,
+    onFailed: markTranscodingFailed,
+  });
+};
+
+export {
+  isTranscodingEnabled,
+  transcodeSourcePathFor,
+  registerVideoTranscodingJob,
+};
@@ -1,8 +1,50 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import {ApiError} from "../utils/ApiError.js"
 import {User} from "../models/user.model.js"
+import {Session} from "../models/session.model.js"
+import {PersonalAccessToken} from "../models/personalAccessToken.model.js"
+import {PERSONAL_ACCESS_TOKEN_PREFIX} from "../constants.js"
+import {hashToken} from "../utils/token.js"
 import jwt from "jsonwebtoken"
 
+// don't write to the session / token on every request, once in a while is enough
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000
+
+// "vtp_..." bearer tokens of scripts / bots
+const resolvePersonalAccessToken = async (req, token) => {
+  const personalAccessToken = await PersonalAccessToken.findOne({
+    tokenHash: hashToken(token)
+  })
+
+  if(!personalAccessToken || !personalAccessToken.isActive()){
+    throw new ApiError (401 , "Invalid or expired personal access token")
+  }
+
+  const user = await User.findById(personalAccessToken.user).select("-password")
+
+  if(!user){
+    throw new ApiError (401 , "Invalid personal access token")
+  }
+
+  // suspended while the account waits for deletion, logging in cancels that
+  if(user.deletionScheduledFor){
+    throw new ApiError (401 , "Account is scheduled for deletion")
+  }
+
+  // same write throttling as sessions
+  const lastUsedAt = personalAccessToken.lastUsedAt?.getTime() || 0
+
+  if (Date.now() - lastUsedAt > SESSION_TOUCH_INTERVAL_MS) {
+    await PersonalAccessToken.updateOne(
+      { _id: personalAccessToken._id },
+      { $set: { lastUsedAt: new Date() } }
+    )
+  }
+
+  req.user = user;
+  req.personalAccessToken = personalAccessToken;
+}
+
 export const verifyJWT = asyncHandler(async(req , res,next) => {
   try {
     const token = req.cookies?.accessToken || req.header("Authorization")?.replace("Bearer ","" )
@@ -10,18 +52,56 @@ export const verifyJWT = asyncHandler(async(req , res,next) => {
     if(!token){
       throw new ApiError(401 , "Unauthorized request")
     }
+
+    if (token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX)) {
+      await resolvePersonalAccessToken(req, token)
+      return next()
+    }
   
     const decodeToken =  jwt.verify(token , process.env.ACCESS_TOKEN_SECRET)
+
+    const session = await Session.findOne({
+      _id: decodeToken?.sid,
+      user: decodeToken?._id
+    })
+
+    if(!session || !session.isActive()){
+      throw new ApiError (401 , "Session expired or revoked")
+    }
   
-    const user = await User.findById(decodeToken?._id).select("-password  -refreshToken")
+    const user = await User.findById(decodeToken?._id).select("-password")
   
     if(!user){
       throw new ApiError (401 , "invalid Access Token")
     }
+
+    if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+      session.lastUsedAt = new Date()
+      await session.save({ validateBeforeSave: false })
+    }
   
     req.user = user;
+    req.authSession = session;
     next()
   } catch (error) {
     throw new ApiError (401 , error?.message || "Invalid access token")
   }
-})
\ No newline at end of file
+})
+
+// Personal access tokens need the scope, logged in browsers can do everything
+export const requireScope = (scope) => (req, res, next) => {
+  if (!req.personalAccessToken || req.personalAccessToken.scopes.includes(scope)) {
+    return next()
+  }
+
+  next(new ApiError(403, `Token is missing the "${scope}" scope`))
+}
+
+// Account management (sessions, tokens, password ...) needs a real login
+export const requireSession = (req, res, next) => {
+  if (req.authSession) {
+    return next()
+  }
+
+  next(new ApiError(403, "Personal access tokens can't be used here"))
+}
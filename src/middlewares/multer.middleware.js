@@ -1,11 +1,15 @@
+import fs from "fs";
 import multer from "multer";
+import { TEMP_DIR } from "../utils/tempDir.js";
 
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, "./public/temp");
+    fs.mkdir(TEMP_DIR, { recursive: true }, (error) => cb(error, TEMP_DIR));
   },
   filename: function (req, file, cb) {
-    cb(null, file.originalname);
+    // files may wait in temp for background processing, names must not collide
+    const uniquePrefix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+    cb(null, `${uniquePrefix}-${file.originalname}`);
   }
 });
 
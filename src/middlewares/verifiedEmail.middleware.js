@@ -0,0 +1,24 @@
+import { ApiError } from "../utils/ApiError.js";
+
+/*
+  Blocks unverified accounts from some actions.
+
+  Which actions are blocked is configured with a comma separated list, e.g.
+  EMAIL_VERIFICATION_REQUIRED_FOR="publishVideo,addComment"
+  Empty / missing means nothing is blocked.
+*/
+
+const getBlockedActions = () =>
+  (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || "")
+    .split(",")
+    .map((action) => action.trim())
+    .filter(Boolean);
+
+// must run after verifyJWT
+export const requireVerifiedEmail = (action) => (req, res, next) => {
+  if (!getBlockedActions().includes(action) || req.user?.emailVerified) {
+    return next();
+  }
+
+  next(new ApiError(403, "Please verify your email address first"));
+};
@@ -0,0 +1,45 @@
+import mongoose, { Schema } from "mongoose";
+
+/*
+  A personal data export (zip of json files) requested by a user.
+  pending -> processing -> ready | failed
+*/
+
+const dataExportSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "ready", "failed"],
+      default: "pending",
+      index: true,
+    },
+    filePath: {
+      type: String, // local path, never inside public/
+      select: false,
+    },
+    fileSize: {
+      type: Number,
+    },
+    error: {
+      type: String,
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date, // removed then (ready: end of the download window, failed: cleanup)
+    },
+  },
+  { timestamps: true }
+);
+
+export const DataExport = mongoose.model("DataExport", dataExportSchema);
@@ -0,0 +1,58 @@
+import mongoose, { Schema } from "mongoose";
+
+/*
+  Background job queue kept in Mongo (see jobs/queue.js).
+  queued -> running -> succeeded | queued again (retry) | failed
+*/
+
+const jobSchema = new Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    payload: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "succeeded", "failed"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    runAt: {
+      type: Date, // not picked up before this (retry backoff)
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lockedBy: {
+      type: String,
+    },
+    lastError: {
+      type: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date, // finished jobs are removed then
+    },
+  },
+  { timestamps: true }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Job = mongoose.model("Job", jobSchema);
@@ -21,4 +21,85 @@ const likeSchema = new Schema({
     
 }, {timestamps: true})
 
+// videos a user liked, with the video owner populated
+// (used by getLikedVideos and the data export)
+// videoMatch drops likes on videos the user can no longer see,
+// only public fields of the video are returned (aggregations ignore select:false)
+const LIKED_VIDEO_FIELDS = {
+    title: 1,
+    description: 1,
+    thumbnail: 1,
+    thumbnailPublicId: 1,
+    thumbnailSizes: 1,
+    videoFile: 1,
+    videoFilePublicId: 1,
+    manifestUrl: 1,
+    mediaAccess: 1,
+    duration: 1,
+    views: 1,
+    owner: 1,
+    visibility: 1,
+    tags: 1,
+    category: 1,
+    publishedAt: 1,
+    createdAt: 1
+}
+
+likeSchema.statics.findLikedVideos = function (userId, { videoMatch } = {}) {
+    const visibilityStages = videoMatch ? [{ $match: videoMatch }] : []
+
+    const pipeline = [
+        {
+            $match: {
+                likedBy: new mongoose.Types.ObjectId(userId),
+                video: { $ne: null }
+            }
+        },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "video",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    ...visibilityStages,
+                    { $project: LIKED_VIDEO_FIELDS },
+                    {
+                        $lookup: {
+                            from: "users",
+                            localField: "owner",
+                            foreignField: "_id",
+                            as: "owner",
+                            pipeline: [
+                                {
+                                    $project: {
+                                        username: 1,
+                                        avatar: 1
+                                    }
+                                }
+                            ]
+                        }
+                    },
+                    {
+                        $addFields: {
+                            owner: { $first: "$owner" }
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                video: { $first: "$video" }
+            }
+        }
+    ]
+
+    if (videoMatch) {
+        pipeline.push({ $match: { video: { $ne: null } } })
+    }
+
+    return this.aggregate(pipeline)
+}
+
 export const Like = mongoose.model("Like", likeSchema)
\ No newline at end of file
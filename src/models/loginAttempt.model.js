@@ -0,0 +1,37 @@
+import mongoose, { Schema } from "mongoose";
+
+/*
+  Failed login counters, one per key ("account:<id or identifier>" / "ip:<ip>").
+  They live in Mongo so every app instance sees the same numbers.
+*/
+
+const loginAttemptSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedAt: {
+      type: Date,
+    },
+    nextAttemptAt: {
+      type: Date, // exponential backoff
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date, // counters reset by themselves after a quiet period
+    },
+  },
+  { timestamps: true }
+);
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
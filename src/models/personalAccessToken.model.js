@@ -0,0 +1,59 @@
+import mongoose, { Schema } from "mongoose";
+import { PERSONAL_ACCESS_TOKEN_SCOPES } from "../constants.js";
+
+/*
+  Long lived tokens for scripts and bots.
+  Only the sha256 hash is stored, the plain token is shown once on creation.
+*/
+
+const personalAccessTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    tokenPrefix: {
+      type: String, // first chars of the token, so users can tell them apart
+    },
+    scopes: [
+      {
+        type: String,
+        enum: PERSONAL_ACCESS_TOKEN_SCOPES,
+      },
+    ],
+    expiresAt: {
+      type: Date,
+      default: null, // null = never expires
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+personalAccessTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+export const PersonalAccessToken = mongoose.model(
+  "PersonalAccessToken",
+  personalAccessTokenSchema
+);
@@ -21,6 +21,11 @@ const playlistSchema = new Schema({
     },
 }, {timestamps: true})
 
+// full-text search (controllers/search.controller.js)
+playlistSchema.index(
+    { name: "text", description: "text" },
+    { name: "playlist_text", weights: { name: 10, description: 2 } }
+)
 
 
 export const Playlist = mongoose.model("Playlist", playlistSchema)
\ No newline at end of file
@@ -0,0 +1,49 @@
+import mongoose, { Schema } from "mongoose";
+
+/*
+  Audit trail of security relevant things that happened to an account
+  (token reuse, lockouts ...). Kept separately so it survives session cleanup.
+*/
+
+const securityEventSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    details: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { timestamps: true }
+);
+
+securityEventSchema.statics.record = function (type, { user, req, details } = {}) {
+  return this.create({
+    type,
+    user,
+    ip: req?.ip || "",
+    userAgent: req?.get?.("user-agent") || "",
+    details,
+  });
+};
+
+export const SecurityEvent = mongoose.model(
+  "SecurityEvent",
+  securityEventSchema
+);
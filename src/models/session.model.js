@@ -0,0 +1,67 @@
+import mongoose, { Schema } from "mongoose";
+
+/*
+  One document per logged-in device.
+  The refresh token itself is never stored, only its sha256 hash.
+  A session is also the refresh token family: presenting an older
+  sequence than the current one means the token was stolen and replayed.
+*/
+
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    deviceLabel: {
+      type: String,
+      trim: true,
+      default: "Unknown device",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    refreshTokenHash: {
+      type: String,
+    },
+    // every login starts a new refresh token family,
+    // each rotation bumps the sequence
+    familyId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    sequence: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date, // same as refresh token expiry
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Mongo removes the session once its refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+export const Session = mongoose.model("Session", sessionSchema);
@@ -8,9 +8,16 @@ const subscriptionSchema = new Schema({
     channel: {
         type: Schema.Types.ObjectId, // one to whom 'subscriber' is subscribing
         ref: "User"
+    },
+    // still subscribed, but left out of the subscription feed
+    muted: {
+        type: Boolean,
+        default: false
     }
 }, {timestamps: true})
 
+subscriptionSchema.index({ subscriber: 1, channel: 1 })
+subscriptionSchema.index({ channel: 1 })
 
 
 export const Subscription = mongoose.model("Subscription", subscriptionSchema)
\ No newline at end of file
@@ -11,5 +11,8 @@ const tweetSchema = new Schema({
     }
 }, {timestamps: true})
 
+// subscription feed (controllers/feed.controller.js)
+tweetSchema.index({ owner: 1, createdAt: -1 })
+
 
 export const Tweet = mongoose.model("Tweet", tweetSchema)
\ No newline at end of file
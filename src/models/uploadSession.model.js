@@ -0,0 +1,71 @@
+import mongoose, { Schema } from "mongoose";
+
+/*
+  A resumable chunked video upload.
+  Chunks live in <TEMP_DIR>/uploads/<session id>/ until the upload is finalized.
+*/
+
+const uploadSessionSchema = new Schema(
+  {
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+    },
+    fileSize: {
+      type: Number,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+    },
+    chunkSize: {
+      type: Number,
+      required: true,
+    },
+    totalChunks: {
+      type: Number,
+      required: true,
+    },
+    chunks: [
+      {
+        _id: false,
+        index: Number,
+        size: Number,
+        checksum: String, // sha256 hex
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["active", "finalizing", "completed"],
+      default: "active",
+    },
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+    },
+    expiresAt: {
+      type: Date, // pushed forward with every chunk
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+uploadSessionSchema.methods.getMissingChunks = function () {
+  const received = new Set(this.chunks.map((chunk) => chunk.index));
+
+  return Array.from({ length: this.totalChunks }, (_, index) => index).filter(
+    (index) => !received.has(index)
+  );
+};
+
+export const UploadSession = mongoose.model(
+  "UploadSession",
+  uploadSessionSchema
+);
@@ -1,6 +1,9 @@
 import mongoose, { Schema } from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
+import { verifyTotp } from "../utils/totp.js";
+import { hashToken } from "../utils/token.js";
+import { USER_ROLES } from "../constants.js";
 
 const userSchema = new Schema(
   {
@@ -19,36 +22,106 @@ const userSchema = new Schema(
       lowercase: true,
       trim: true,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationTokenHash: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpiresAt: {
+      type: Date,
+      select: false,
+    },
     fullname: {
       type: String,
       required: true,
       trim: true,
       index: true,
     },
+    role: {
+      type: String,
+      enum: Object.values(USER_ROLES),
+      default: USER_ROLES.USER,
+    },
     avatar: {
-      type: String, // cloudinary url
+      type: String, // storage url (cloudinary / local)
       required: true,
     },
+    avatarPublicId: {
+      type: String, // needed to delete the file from storage
+    },
     coverImage: {
-      type: String, //cloudinary url
-    },
-    watchHistory: [
-      {
-        type: Schema.Types.ObjectId,
-        ref: "Video",
-      },
-    ],
+      type: String, // storage url (cloudinary / local)
+    },
+    coverImagePublicId: {
+      type: String,
+    },
+    // history lives in its own collection (watchHistory.model.js)
+    watchHistoryPaused: {
+      type: Boolean,
+      default: false,
+    },
     password: {
       type: String,
       required: [true, "Password is required"],
     },
-    refreshToken: {
-      type: String,
+    passwordResetTokenHash: {
+      type: String, // sha256 of the token mailed to the user
+      select: false,
+    },
+    passwordResetExpiresAt: {
+      type: Date,
+      select: false,
+    },
+    passwordResetRequestedAt: {
+      type: Date, // at most one reset mail per PASSWORD_RESET_MIN_INTERVAL_MINUTES
+      select: false,
+    },
+    // TOTP two factor auth
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String, // base32
+      select: false,
+    },
+    twoFactorPendingSecret: {
+      type: String, // set on enroll, moved to twoFactorSecret on confirm
+      select: false,
+    },
+    twoFactorRecoveryCodes: {
+      type: [String], // sha256 hashes, removed once used
+      select: false,
+    },
+    twoFactorLastUsedStep: {
+      type: Number, // a code can't be used twice
+      select: false,
+    },
+    twoFactorChallengeId: {
+      type: String, // jti of the pending login challenge, cleared once used
+      select: false,
+    },
+    // account deletion, cancelled by logging in before the date
+    deletionRequestedAt: {
+      type: Date,
+    },
+    deletionScheduledFor: {
+      type: Date,
+      index: true,
     },
   },
   { timestamps: true }
 );
 
+// full-text search (controllers/search.controller.js)
+userSchema.index(
+  { username: "text", fullname: "text" },
+  { name: "user_text", weights: { username: 10, fullname: 5 } }
+);
+
 userSchema.pre("save", async function () {
 
 
@@ -61,13 +134,48 @@ userSchema.methods.isPasswordCorrect = async function (password) {
   return await bcrypt.compare(password, this.password);
 };
 
-userSchema.methods.generateAccessToken = function () {
+// bcrypt hash of a throwaway password, same cost as real ones
+const DUMMY_PASSWORD_HASH =
+  "$2b$10$rnNe27eVBlLoDwPq3zc/seKFZ.9/KXc0xZFKvNtF4iVYbL8HmdDH2";
+
+// does the same bcrypt work as isPasswordCorrect when there is no user,
+// so response times don't tell which accounts exist. Always false.
+userSchema.statics.isPasswordCorrectForUnknownUser = async function (password) {
+  await bcrypt.compare(String(password || ""), DUMMY_PASSWORD_HASH);
+  return false;
+};
+
+// needs the twoFactor* fields selected, marks the code as used
+userSchema.methods.isTwoFactorCodeCorrect = function (code) {
+  const step = verifyTotp(this.twoFactorSecret, code);
+
+  if (step === null || step <= (this.twoFactorLastUsedStep ?? -1)) {
+    return false;
+  }
+
+  this.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// recovery codes are single use
+userSchema.methods.useRecoveryCode = function (code) {
+  const codeHash = hashToken(String(code || "").trim().toLowerCase());
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(codeHash);
+
+  if (index === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+// sessionId ties the token to one device (see session.model.js)
+userSchema.methods.generateAccessToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
       email: this.email,
       username: this.username,
-      
+      sid: sessionId,
     },
     process.env.ACCESS_TOKEN_SECRET,
     {
@@ -76,13 +184,16 @@ userSchema.methods.generateAccessToken = function () {
   );
 };
 
-userSchema.methods.generateRefreshToken = function () {
+userSchema.methods.generateRefreshToken = function (session) {
   return jwt.sign(
     {
       _id: this._id,
       email: this.email,
       username: this.username,
       fullname: this.fullname,
+      sid: session._id,
+      fam: session.familyId,
+      seq: session.sequence,
     },
     process.env.REFRESH_TOKEN_SECRET,
     {
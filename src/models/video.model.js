@@ -1,15 +1,48 @@
 import mongoose, { Schema } from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { VIDEO_CATEGORIES, VIDEO_VISIBILITY } from "../constants.js";
+
+// one stored image in a few widths (utils/thumbnails.js)
+const thumbnailSizeSchema = new Schema(
+  {
+    name:String, // "small" | "medium" | "large"
+    width:Number,
+    height:Number,
+    url:String,
+    publicId:String
+  },
+  {_id:false}
+)
 
 const videoSchema = new Schema(
   {
     videoFile:{
-      type:String, // Cloudinary url
-      required:true
+      type:String, // storage url (cloudinary / local)
+      required:function () { return this.processingStatus === "ready" }
+    },
+    videoFilePublicId:{
+      type:String // needed to delete the file from storage
     },
     thumbnail:{
-      type:String, // Cloudinary url
-      required:true
+      type:String, // storage url (cloudinary / local)
+      required:function () { return this.processingStatus === "ready" }
+    },
+    thumbnailPublicId:{
+      type:String
+    },
+    thumbnailSizes:[thumbnailSizeSchema],
+    // frames grabbed from the video when no thumbnail was uploaded,
+    // the owner picks one through PATCH /videos/:videoId/thumbnail
+    thumbnailCandidates:{
+      type:[
+        {
+          url:String,
+          publicId:String,
+          timestamp:Number, // seconds into the video
+          sizes:[thumbnailSizeSchema]
+        }
+      ],
+      select:false
     },
     title:{
       type:String, 
@@ -20,16 +53,99 @@ const videoSchema = new Schema(
       required:true
     },
     duration:{
-      type:Number, // will extract from cloudinary
-      requried:true
+      type:Number, // seconds, from ffprobe
+      required:true
+    },
+    // normalized by utils/videoTaxonomy.js
+    tags:{
+      type:[String],
+      index:true
+    },
+    category:{
+      type:String,
+      enum:VIDEO_CATEGORIES,
+      index:true
+    },
+    metadata:{
+      width:Number,
+      height:Number,
+      frameRate:Number,
+      videoCodec:String,
+      audioCodec:String,
+      bitrate:Number, // bits per second
+      fileSize:Number, // bytes
+      container:String
     },
     views:{
       type:Number,
       default:0
     },
-    isPublished:{
-      type:Boolean,
-      default:true
+    visibility:{
+      type:String,
+      enum:Object.values(VIDEO_VISIBILITY),
+      default:VIDEO_VISIBILITY.PUBLIC,
+      index:true
+    },
+    // scheduled publishing (utils/videoSchedule.js): the video stays
+    // private until publishAt, then gets scheduledVisibility
+    publishAt:{
+      type:Date,
+      index:true
+    },
+    scheduledVisibility:{
+      type:String,
+      enum:[VIDEO_VISIBILITY.PUBLIC, VIDEO_VISIBILITY.UNLISTED]
+    },
+    // first time the video was ready and not private (feeds sort by it),
+    // see markPublished in utils/videoVisibility.js
+    publishedAt:{
+      type:Date
+    },
+    // users who may watch a private video
+    sharedWith:[
+      {
+        type:Schema.Types.ObjectId,
+        ref:"User"
+      }
+    ],
+    // where the stored files are right now (utils/videoMedia.js),
+    // follows the visibility through jobs/videoMediaAccess.job.js
+    mediaAccess:{
+      type:String,
+      enum:["public", "private"],
+      default:"public"
+    },
+    // set by the background pipeline (jobs/videoProcessing.job.js)
+    processingStatus:{
+      type:String,
+      enum:["processing", "ready", "failed"],
+      default:"ready"
+    },
+    processingError:{
+      type:String
+    },
+    // HLS output of jobs/videoTranscoding.job.js
+    transcodingStatus:{
+      type:String,
+      enum:["none", "queued", "processing", "ready", "failed"],
+      default:"none"
+    },
+    manifestUrl:{
+      type:String // master playlist
+    },
+    renditions:[
+      {
+        _id:false,
+        name:String, // "720p"
+        width:Number,
+        height:Number,
+        bandwidth:Number, // bits per second
+        playlistUrl:String
+      }
+    ],
+    hlsFilePublicIds:{
+      type:[String], // every playlist + segment, for deleting them
+      select:false
     },
     owner:{
       type:Schema.Types.ObjectId,
@@ -39,6 +155,15 @@ const videoSchema = new Schema(
   {timestamps:true}
 )
 
+// subscription feed (controllers/feed.controller.js)
+videoSchema.index({owner:1, publishedAt:-1})
+
+// full-text search (controllers/search.controller.js)
+videoSchema.index(
+  {title:"text", tags:"text", description:"text"},
+  {name:"video_text", weights:{title:10, tags:5, description:1}}
+)
+
 videoSchema.plugin(mongooseAggregatePaginate)
 
 
@@ -0,0 +1,49 @@
+import mongoose, { Schema } from "mongoose";
+
+/*
+  Raw view reports (POST /videos/:videoId/views), counted or not,
+  kept for analytics. Only `counted` ones were added to Video.views.
+*/
+
+const viewEventSchema = new Schema(
+  {
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    viewer: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    session: {
+      type: Schema.Types.ObjectId, // login session or personal access token
+    },
+    watchedSeconds: {
+      type: Number,
+      required: true,
+    },
+    counted: {
+      type: Boolean,
+      default: false,
+    },
+    // why it was (not) counted
+    reason: {
+      type: String,
+      enum: ["counted", "too_short", "duplicate", "owner", "bot"],
+      required: true,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+viewEventSchema.index({ video: 1, createdAt: -1 });
+viewEventSchema.index({ viewer: 1, createdAt: -1 });
+
+export const ViewEvent = mongoose.model("ViewEvent", viewEventSchema);
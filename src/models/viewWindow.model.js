@@ -0,0 +1,25 @@
+import mongoose, { Schema } from "mongoose";
+
+/*
+  One per viewer and video while a counted view blocks the next one
+  (see utils/viewCounter.js). Expired windows are removed by the TTL index.
+*/
+
+const viewWindowSchema = new Schema(
+  {
+    key: {
+      type: String, // "<videoId>:<userId>"
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+viewWindowSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const ViewWindow = mongoose.model("ViewWindow", viewWindowSchema);
@@ -0,0 +1,34 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+/*
+  Watch history, one entry per user and video (watching again only
+  moves it to the top). Written by utils/watchHistory.js.
+*/
+
+const watchHistorySchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    lastWatchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+watchHistorySchema.index({ user: 1, video: 1 }, { unique: true });
+watchHistorySchema.index({ user: 1, lastWatchedAt: -1 });
+
+watchHistorySchema.plugin(mongooseAggregatePaginate);
+
+export const WatchHistory = mongoose.model("WatchHistory", watchHistorySchema);
@@ -0,0 +1,43 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+/*
+  How far a user got in a video, one document per user and video,
+  updated by the player through PUT /videos/:videoId/progress.
+*/
+
+const watchProgressSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    position: {
+      type: Number, // seconds
+      default: 0,
+    },
+    completed: {
+      type: Boolean,
+      default: false,
+    },
+    lastWatchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+watchProgressSchema.index({ user: 1, video: 1 }, { unique: true });
+// "continue watching"
+watchProgressSchema.index({ user: 1, completed: 1, lastWatchedAt: -1 });
+
+watchProgressSchema.plugin(mongooseAggregatePaginate);
+
+export const WatchProgress = mongoose.model("WatchProgress", watchProgressSchema);
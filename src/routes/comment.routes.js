@@ -5,14 +5,25 @@ import {
   getVideoComments,
   updateComment,
 } from "../controllers/comment.controller.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { verifyJWT, requireScope } from "../middlewares/auth.middleware.js";
+import { requireVerifiedEmail } from "../middlewares/verifiedEmail.middleware.js";
 
 const router = Router();
 
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/:videoId").get(getVideoComments).post(addComment);
+router
+  .route("/:videoId")
+  .get(requireScope("comments:read"), getVideoComments)
+  .post(
+    requireScope("comments:write"),
+    requireVerifiedEmail("addComment"),
+    addComment
+  );
 
-router.route("/c/:commentId").delete(deleteComment).patch(updateComment);
+router
+  .route("/c/:commentId")
+  .delete(requireScope("comments:write"), deleteComment)
+  .patch(requireScope("comments:write"), updateComment);
 
 export default router;
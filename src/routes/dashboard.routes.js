@@ -3,11 +3,12 @@ import {
     getChannelStats,
     getChannelVideos,
 } from "../controllers/dashboard.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {verifyJWT, requireScope} from "../middlewares/auth.middleware.js"
 
 const router = Router();
 
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+router.use(requireScope("dashboard:read"));
 
 router.route("/stats").get(getChannelStats);
 router.route("/videos").get(getChannelVideos);
@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { getSubscriptionFeed } from "../controllers/feed.controller.js"
+import {verifyJWT, requireScope} from "../middlewares/auth.middleware.js"
+
+const router = Router();
+
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+// New videos + tweets of subscribed channels, ?cursor=...&limit=20
+router.route("/subscriptions").get(requireScope("subscriptions:read"), getSubscriptionFeed);
+
+export default router
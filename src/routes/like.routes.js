@@ -5,14 +5,14 @@ import {
     toggleVideoLike,
     toggleTweetLike,
 } from "../controllers/like.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {verifyJWT, requireScope} from "../middlewares/auth.middleware.js"
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/toggle/v/:videoId").post(toggleVideoLike);
-router.route("/toggle/c/:commentId").post(toggleCommentLike);
-router.route("/toggle/t/:tweetId").post(toggleTweetLike);
-router.route("/videos").get(getLikedVideos);
+router.route("/toggle/v/:videoId").post(requireScope("likes:write"), toggleVideoLike);
+router.route("/toggle/c/:commentId").post(requireScope("likes:write"), toggleCommentLike);
+router.route("/toggle/t/:tweetId").post(requireScope("likes:write"), toggleTweetLike);
+router.route("/videos").get(requireScope("likes:read"), getLikedVideos);
 
 export default router
\ No newline at end of file
@@ -0,0 +1,9 @@
+import { Router } from 'express';
+import { getPrivateMediaFile } from "../controllers/media.controller.js"
+
+const router = Router();
+
+// Private files of the local storage provider, ?expires=...&signature=...
+router.route("/*publicId").get(getPrivateMediaFile);
+
+export default router
@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { search } from "../controllers/search.controller.js"
+import {verifyJWT, requireScope} from "../middlewares/auth.middleware.js"
+
+const router = Router();
+
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+// GET /search?q=...&type=video,channel,playlist&page=1&limit=20
+router.route("/").get(requireScope("videos:read"), search);
+
+export default router
@@ -3,17 +3,23 @@ import {
     getSubscribedChannels,
     getUserChannelSubscribers,
     toggleSubscription,
+    updateSubscriptionMute,
 } from "../controllers/subscription.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {verifyJWT, requireScope} from "../middlewares/auth.middleware.js"
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
 router
     .route("/c/:channelId")
-    .get(getSubscribedChannels)
-    .post(toggleSubscription);
+    .get(requireScope("subscriptions:read"), getSubscribedChannels)
+    .post(requireScope("subscriptions:write"), toggleSubscription);
 
-router.route("/u/:subscriberId").get(getUserChannelSubscribers);
+// Muted channels stay subscribed but are left out of /feed/subscriptions
+router
+    .route("/c/:channelId/mute")
+    .patch(requireScope("subscriptions:write"), updateSubscriptionMute);
+
+router.route("/u/:subscriberId").get(requireScope("subscriptions:read"), getUserChannelSubscribers);
 
 export default router
\ No newline at end of file
@@ -13,23 +13,67 @@ import { Router } from "express";
 // Import all user controllers
 import { 
     loginUser,                 // login
+    loginWithTwoFactor,        // login step 2 (2FA code)
     logoutUser,                // logout
     registerUser,              // register
     refreshAccessToken,        // generate new access token
     changeCurrentPassword,     // change password
+    forgotPassword,            // mail a password reset link
+    resetPassword,             // set new password with reset token
+    verifyEmail,               // confirm email with mailed token
+    resendEmailVerification,   // mail a new verification link
     getCurrentUser,            // get logged-in user
     updateUserAvatar,          // update avatar image
     updateUserCoverImage,      // update cover image
     getUserChannelProfile,     // get channel profile
-    getWatchHistory,           // get watch history
-    updateAccountDetails       // update name & email
+    updateAccountDetails,      // update name & email
+    updateUserRole,            // admin: change someone's role
+    adminUpdateUser,           // admin: change someone's name & email
+    adminDeleteUser,           // admin: delete someone's account
+    deleteAccount              // delete own account (password required)
 } from "../controllers/user.controller.js";
 
+// Watch history controllers
+import {
+    getWatchHistory,           // get watch history (paginated, searchable)
+    removeWatchHistoryEntry,   // remove one video
+    clearWatchHistory,         // remove everything
+    updateWatchHistoryPaused   // pause / resume recording
+} from "../controllers/watchHistory.controller.js";
+
+// Two factor (TOTP) controllers
+import {
+    enrollTwoFactor,           // new secret + otpauth uri
+    confirmTwoFactor,          // first code enables 2FA
+    disableTwoFactor           // turn 2FA off
+} from "../controllers/twoFactor.controller.js";
+
+// Personal access token controllers
+import {
+    createPersonalAccessToken, // new token (shown once)
+    getPersonalAccessTokens,   // list tokens
+    revokePersonalAccessToken  // revoke a token
+} from "../controllers/personalAccessToken.controller.js";
+
+// Personal data export controllers
+import {
+    requestDataExport,         // start building the zip
+    getDataExportStatus,       // poll export status
+    downloadDataExport         // download finished zip
+} from "../controllers/dataExport.controller.js";
+
+// Session (device) controllers
+import {
+    getActiveSessions,         // list logged-in devices
+    revokeSession,             // log out one device
+    revokeOtherSessions        // log out every other device
+} from "../controllers/session.controller.js";
+
 // Multer middleware for file uploads
 import { upload } from "../middlewares/multer.middleware.js";
 
-// JWT verification middleware
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+// JWT verification middleware (+ scope checks for personal access tokens)
+import { verifyJWT, requireScope, requireSession } from "../middlewares/auth.middleware.js";
 
 // Create router instance
 const router = Router()
@@ -58,40 +102,64 @@ router.route("/register").post(
 // Login user
 router.route("/login").post(loginUser)
 
+// Second login step for accounts with 2FA (challenge token + code)
+router.route("/login/2fa").post(loginWithTwoFactor)
+
 // Refresh access token using refresh token
 router.route("/refresh-token").post(refreshAccessToken)
 
+// Request a password reset mail
+router.route("/forgot-password").post(forgotPassword)
+
+// Set a new password using the mailed token
+router.route("/reset-password").post(resetPassword)
+
+// Confirm email address using the mailed token
+router.route("/verify-email").post(verifyEmail)
+
 
 /* 
    PROTECTED ROUTES (LOGIN REQUIRED)
 */
 
-// verifyJWT checks if user is logged in
+// verifyJWT checks if user is logged in (browser session or personal access token)
+// requireSession keeps personal access tokens away from account management
 
 // Logout
-router.route("/logout").post(verifyJWT, logoutUser)
+router.route("/logout").post(verifyJWT, requireSession, logoutUser)
 
 // Change password
 router.route("/change-password").post(
     verifyJWT,
+    requireSession,
     changeCurrentPassword
 )
 
 // Get logged-in user
 router.route("/current-user").get(
     verifyJWT,
+    requireScope("profile:read"),
     getCurrentUser
 )
 
 // Update name & email
 router.route("/update-account").patch(
     verifyJWT,
+    requireSession,
     updateAccountDetails
 )
 
+// Send a new verification mail
+router.route("/verify-email/resend").post(
+    verifyJWT,
+    requireSession,
+    resendEmailVerification
+)
+
 // Update avatar image
 router.route("/avatar").patch(
     verifyJWT,
+    requireSession,
     upload.single("avatar"),
     updateUserAvatar
 )
@@ -99,6 +167,7 @@ router.route("/avatar").patch(
 // Update cover image
 router.route("/cover-image").patch(
     verifyJWT,
+    requireSession,
     upload.single("coverImage"),
     updateUserCoverImage
 )
@@ -106,13 +175,94 @@ router.route("/cover-image").patch(
 // Get any user's channel profile
 router.route("/c/:username").get(
     verifyJWT,
+    requireScope("profile:read"),
     getUserChannelProfile
 )
 
-// Get watch history of logged-in user
-router.route("/history").get(
+// Get / clear watch history of logged-in user
+router.route("/history")
+    .get(verifyJWT, requireScope("profile:read"), getWatchHistory)
+    .delete(verifyJWT, requireSession, clearWatchHistory)
+
+// Pause or resume recording new history
+router.route("/history/paused").patch(
+    verifyJWT,
+    requireSession,
+    updateWatchHistoryPaused
+)
+
+// Remove one video from watch history
+router.route("/history/:videoId").delete(
+    verifyJWT,
+    requireSession,
+    removeWatchHistoryEntry
+)
+
+// Delete own account (after a grace period)
+router.route("/me").delete(
+    verifyJWT,
+    requireSession,
+    deleteAccount
+)
+
+// Personal data export (zip of json files)
+router.route("/me/export").post(
+    verifyJWT,
+    requireSession,
+    requestDataExport
+)
+
+router.route("/me/exports/:exportId").get(
+    verifyJWT,
+    requireSession,
+    getDataExportStatus
+)
+
+router.route("/me/exports/:exportId/download").get(
+    verifyJWT,
+    requireSession,
+    downloadDataExport
+)
+
+// Change a user's role (admins only)
+router.route("/admin/:userId/role").patch(
+    verifyJWT,
+    requireSession,
+    updateUserRole
+)
+
+// Edit or delete any user (admins only)
+router.route("/admin/:userId")
+    .patch(verifyJWT, requireSession, adminUpdateUser)
+    .delete(verifyJWT, requireSession, adminDeleteUser)
+
+// Two factor authentication
+router.route("/2fa/enroll").post(verifyJWT, requireSession, enrollTwoFactor)
+router.route("/2fa/confirm").post(verifyJWT, requireSession, confirmTwoFactor)
+router.route("/2fa/disable").post(verifyJWT, requireSession, disableTwoFactor)
+
+// List active sessions / revoke all except the current one
+router.route("/sessions")
+    .get(verifyJWT, requireSession, getActiveSessions)
+    .delete(verifyJWT, requireSession, revokeOtherSessions)
+
+// Revoke a single session
+router.route("/sessions/:sessionId").delete(
+    verifyJWT,
+    requireSession,
+    revokeSession
+)
+
+// Create / list personal access tokens (for scripts & bots)
+router.route("/tokens")
+    .get(verifyJWT, requireSession, getPersonalAccessTokens)
+    .post(verifyJWT, requireSession, createPersonalAccessToken)
+
+// Revoke a personal access token
+router.route("/tokens/:tokenId").delete(
     verifyJWT,
-    getWatchHistory
+    requireSession,
+    revokePersonalAccessToken
 )
 
 /* 
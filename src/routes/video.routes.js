@@ -1,22 +1,42 @@
-import { Router } from 'express';
+import express, { Router } from 'express';
 import {
     deleteVideo,
     getAllVideos,
+    getPopularTags,
     getVideoById,
+    getVideoProcessingStatus,
+    getVideosByTag,
+    getThumbnailCandidates,
     publishAVideo,
-    togglePublishStatus,
+    recordVideoView,
+    selectThumbnail,
     updateVideo,
+    updateVideoVisibility,
 } from "../controllers/video.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {
+    getContinueWatching,
+    updateWatchProgress,
+} from "../controllers/watchProgress.controller.js"
+import {
+    completeUploadSession,
+    createUploadSession,
+    getUploadSession,
+    uploadChunk,
+} from "../controllers/uploadSession.controller.js"
+import {verifyJWT, requireScope} from "../middlewares/auth.middleware.js"
 import {upload} from "../middlewares/multer.middleware.js"
+import {requireVerifiedEmail} from "../middlewares/verifiedEmail.middleware.js"
+import {UPLOAD_CHUNK_MAX_BYTES} from "../utils/uploadChunks.js"
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
 router
     .route("/")
-    .get(getAllVideos)
+    .get(requireScope("videos:read"), getAllVideos)
     .post(
+        requireScope("videos:write"),
+        requireVerifiedEmail("publishVideo"),
         upload.fields([
             {
                 name: "videoFile",
@@ -31,12 +51,79 @@ router
         publishAVideo
     );
 
+// Popular tags / public videos with a tag
+router
+    .route("/tags")
+    .get(requireScope("videos:read"), getPopularTags);
+
+router
+    .route("/tags/:tag")
+    .get(requireScope("videos:read"), getVideosByTag);
+
+// Partially watched videos of the logged-in user
+router
+    .route("/continue-watching")
+    .get(requireScope("videos:read"), getContinueWatching);
+
+// Resumable chunked uploads: create -> PUT chunks -> complete
+router
+    .route("/uploads")
+    .post(
+        requireScope("videos:write"),
+        requireVerifiedEmail("publishVideo"),
+        createUploadSession
+    );
+
+router
+    .route("/uploads/:uploadId")
+    .get(requireScope("videos:write"), getUploadSession);
+
+router
+    .route("/uploads/:uploadId/chunks/:chunkIndex")
+    .put(
+        requireScope("videos:write"),
+        express.raw({ type: () => true, limit: UPLOAD_CHUNK_MAX_BYTES }),
+        uploadChunk
+    );
+
+router
+    .route("/uploads/:uploadId/complete")
+    .post(
+        requireScope("videos:write"),
+        requireVerifiedEmail("publishVideo"),
+        upload.single("thumbnail"),
+        completeUploadSession
+    );
+
 router
     .route("/:videoId")
-    .get(getVideoById)
-    .delete(deleteVideo)
-    .patch(upload.single("thumbnail"), updateVideo);
+    .get(requireScope("videos:read"), getVideoById)
+    .delete(requireScope("videos:write"), deleteVideo)
+    .patch(requireScope("videos:write"), upload.single("thumbnail"), updateVideo);
+
+// Player reports watch time, counted as a view past the minimum
+router
+    .route("/:videoId/views")
+    .post(requireScope("videos:read"), recordVideoView);
 
-router.route("/toggle/publish/:videoId").patch(togglePublishStatus);
+// Player reports its position every few seconds (resume playback)
+router
+    .route("/:videoId/progress")
+    .put(requireScope("videos:read"), updateWatchProgress);
+
+router
+    .route("/:videoId/status")
+    .get(requireScope("videos:read"), getVideoProcessingStatus);
+
+// Generated thumbnail frames, the owner picks one
+router
+    .route("/:videoId/thumbnail")
+    .get(requireScope("videos:write"), getThumbnailCandidates)
+    .patch(requireScope("videos:write"), selectThumbnail);
+
+// Public / unlisted / private and who a private video is shared with
+router
+    .route("/:videoId/visibility")
+    .patch(requireScope("videos:write"), updateVideoVisibility);
 
 export default router
\ No newline at end of file
@@ -0,0 +1,70 @@
+/*
+  One-off migration from the old isPublished flag to visibility.
+
+  npm run videos:migrate-visibility
+
+  isPublished: false -> private, everything else without a visibility -> public.
+  Also backfills publishedAt (= createdAt) for videos that are already live,
+  the subscription feed sorts by it, and queues moving the files of
+  private videos to private storage (the running server does the move).
+  Safe to run more than once.
+*/
+
+import mongoose from "mongoose";
+import connectDB from "../db/index.js";
+import { Video } from "../models/video.model.js";
+import { VIDEO_VISIBILITY } from "../constants.js";
+import { enqueueJob } from "../jobs/queue.js";
+
+const migrateVideoVisibility = async () => {
+  // the field is gone from the schema, go through the raw collection
+  const videos = Video.collection;
+
+  const unpublished = await videos.updateMany(
+    { isPublished: false, visibility: { $exists: false } },
+    { $set: { visibility: VIDEO_VISIBILITY.PRIVATE } }
+  );
+
+  const published = await videos.updateMany(
+    { visibility: { $exists: false } },
+    { $set: { visibility: VIDEO_VISIBILITY.PUBLIC } }
+  );
+
+  await videos.updateMany(
+    { isPublished: { $exists: true } },
+    { $unset: { isPublished: "" } }
+  );
+
+  const backfilled = await videos.updateMany(
+    {
+      publishedAt: { $exists: false },
+      visibility: { $ne: VIDEO_VISIBILITY.PRIVATE },
+      processingStatus: { $nin: ["processing", "failed"] },
+    },
+    [{ $set: { publishedAt: "$createdAt" } }]
+  );
+
+  // stored public before mediaAccess existed
+  const privateVideoIds = await videos.distinct("_id", {
+    visibility: VIDEO_VISIBILITY.PRIVATE,
+    mediaAccess: { $ne: "private" },
+  });
+
+  for (const videoId of privateVideoIds) {
+    await enqueueJob("video.media-access", { videoId: videoId.toString() });
+  }
+
+  console.log(
+    `${published.modifiedCount} videos made public, ${unpublished.modifiedCount} made private, ` +
+      `${backfilled.modifiedCount} got a publishedAt, ` +
+      `${privateVideoIds.length} queued to move their files to private storage`
+  );
+};
+
+connectDB()
+  .then(migrateVideoVisibility)
+  .catch((error) => {
+    console.log("Visibility migration failed", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
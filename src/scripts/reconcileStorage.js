@@ -0,0 +1,102 @@
+/*
+  Finds files in storage that no document points at any more and purges them.
+
+  npm run storage:reconcile            -> only lists orphans (dry run)
+  npm run storage:reconcile -- --delete -> deletes them
+
+  Files younger than --min-age-hours (default 24) are skipped,
+  they may belong to an upload that is still in progress.
+  Only the app's own folders (STORAGE_FOLDERS) are scanned, anything
+  else in a shared Cloudinary account is left alone.
+*/
+
+import mongoose from "mongoose";
+import connectDB from "../db/index.js";
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import {
+  STORAGE_FOLDERS,
+  isInStorageFolders,
+  getStorage,
+} from "../utils/storage.js";
+import { thumbnailFilesOf } from "../utils/thumbnails.js";
+
+const args = process.argv.slice(2);
+const shouldDelete = args.includes("--delete");
+const minAgeArg = args.find((arg) => arg.startsWith("--min-age-hours="));
+const minAgeValue = minAgeArg ? minAgeArg.split("=")[1].trim() : "24";
+const minAgeHours = Number(minAgeValue);
+
+// a typo must not turn into "every file is old enough to delete"
+if (!minAgeValue || !Number.isFinite(minAgeHours) || minAgeHours < 0) {
+  console.log(`Invalid --min-age-hours "${minAgeValue}", expected a number >= 0`);
+  process.exit(1);
+}
+
+const collectReferencedIds = async (storage) => {
+  const referenced = new Set();
+
+  const add = (publicId, url) => {
+    const id = publicId || storage.publicIdFromUrl(url)?.publicId;
+    if (id) referenced.add(id);
+  };
+
+  for await (const video of Video.find().select(
+    "videoFile videoFilePublicId thumbnail thumbnailPublicId thumbnailSizes +thumbnailCandidates +hlsFilePublicIds"
+  ).cursor()) {
+    add(video.videoFilePublicId, video.videoFile);
+    thumbnailFilesOf(video).forEach(({ publicId, url }) => add(publicId, url));
+    video.hlsFilePublicIds?.forEach((publicId) => add(publicId));
+  }
+
+  for await (const user of User.find().select(
+    "avatar avatarPublicId coverImage coverImagePublicId"
+  ).cursor()) {
+    add(user.avatarPublicId, user.avatar);
+    add(user.coverImagePublicId, user.coverImage);
+  }
+
+  return referenced;
+};
+
+const reconcileStorage = async () => {
+  const storage = getStorage();
+  const referenced = await collectReferencedIds(storage);
+  const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000;
+
+  let orphanCount = 0;
+  let orphanBytes = 0;
+
+  for (const folder of STORAGE_FOLDERS) {
+    for (const resourceType of ["image", "video", "raw"]) {
+      for await (const file of storage.list({ resourceType, prefix: `${folder}/` })) {
+        // a provider ignoring the prefix must not make us delete foreign files
+        if (!isInStorageFolders(file.publicId)) continue;
+        if (referenced.has(file.publicId)) continue;
+        if (file.createdAt && file.createdAt.getTime() > cutoff) continue;
+
+        orphanCount += 1;
+        orphanBytes += file.bytes || 0;
+
+        console.log(`${shouldDelete ? "deleting" : "orphan"}: ${file.resourceType} ${file.publicId}`);
+
+        if (shouldDelete) {
+          await storage.delete(file.publicId, { resourceType: file.resourceType });
+        }
+      }
+    }
+  }
+
+  console.log(
+    `\n${orphanCount} orphaned files (${(orphanBytes / 1024 / 1024).toFixed(1)} MB) on "${storage.name}"` +
+      (shouldDelete ? " deleted" : ", run with --delete to remove them")
+  );
+};
+
+connectDB()
+  .then(reconcileStorage)
+  .catch((error) => {
+    console.log("Storage reconciliation failed", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,119 @@
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Like } from "../models/like.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { Session } from "../models/session.model.js";
+import { PersonalAccessToken } from "../models/personalAccessToken.model.js";
+import { LoginAttempt } from "../models/loginAttempt.model.js";
+import { SecurityEvent } from "../models/securityEvent.model.js";
+import { DataExport } from "../models/dataExport.model.js";
+import { ViewEvent } from "../models/viewEvent.model.js";
+import { WatchProgress } from "../models/watchProgress.model.js";
+import { WatchHistory } from "../models/watchHistory.model.js";
+import fs from "fs";
+import { removeStoredFile } from "./storage.js";
+import { removeHlsFiles } from "./hls.js";
+import { thumbnailFilesOf } from "./thumbnails.js";
+import { accountKey } from "./loginThrottle.js";
+
+/*
+  Removes everything a user owns (or anonymizes it where we keep it).
+  Order matters: collect ids first, the documents pointing at them go next,
+  the user document itself goes last so a crash halfway can be re-run.
+*/
+
+const purgeUserAccount = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return;
+
+  // Step 1: Collect what the user owns
+  const videos = await Video.find({ owner: userId }).select(
+    "videoFile videoFilePublicId thumbnail thumbnailPublicId thumbnailSizes +thumbnailCandidates +hlsFilePublicIds"
+  );
+  const videoIds = videos.map((video) => video._id);
+
+  const tweetIds = await Tweet.find({ owner: userId }).distinct("_id");
+
+  const commentIds = await Comment.find({
+    $or: [{ owner: userId }, { video: { $in: videoIds } }],
+  }).distinct("_id");
+
+  // Step 2: Remote media
+  const storedFiles = [
+    ...videos.flatMap((video) => [
+      { publicId: video.videoFilePublicId, url: video.videoFile, resourceType: "video" },
+      ...thumbnailFilesOf(video),
+    ]),
+    { publicId: user.avatarPublicId, url: user.avatar },
+    { publicId: user.coverImagePublicId, url: user.coverImage },
+  ];
+
+  for (const storedFile of storedFiles) {
+    await removeStoredFile(storedFile);
+  }
+  for (const video of videos) {
+    await removeHlsFiles(video.hlsFilePublicIds);
+  }
+
+  // Step 3: Likes by the user and likes on the user's content
+  await Like.deleteMany({
+    $or: [
+      { likedBy: userId },
+      { video: { $in: videoIds } },
+      { comment: { $in: commentIds } },
+      { tweet: { $in: tweetIds } },
+    ],
+  });
+
+  // Step 4: Content
+  await Comment.deleteMany({ _id: { $in: commentIds } });
+  await Tweet.deleteMany({ _id: { $in: tweetIds } });
+  await Playlist.deleteMany({ owner: userId });
+  await Playlist.updateMany(
+    { videos: { $in: videoIds } },
+    { $pull: { videos: { $in: videoIds } } }
+  );
+  await WatchHistory.deleteMany({
+    $or: [{ user: userId }, { video: { $in: videoIds } }],
+  });
+  await ViewEvent.deleteMany({
+    $or: [{ viewer: userId }, { video: { $in: videoIds } }],
+  });
+  await WatchProgress.deleteMany({
+    $or: [{ user: userId }, { video: { $in: videoIds } }],
+  });
+  await Video.deleteMany({ _id: { $in: videoIds } });
+
+  // Step 5: Subscriptions, as subscriber and as channel
+  await Subscription.deleteMany({
+    $or: [{ subscriber: userId }, { channel: userId }],
+  });
+
+  // Step 6: Auth leftovers, audit log is kept but anonymized
+  await Session.deleteMany({ user: userId });
+  await PersonalAccessToken.deleteMany({ user: userId });
+  await LoginAttempt.deleteMany({
+    key: { $in: [accountKey(userId), accountKey(user.username), accountKey(user.email)] },
+  });
+  await SecurityEvent.updateMany({ user: userId }, { $unset: { user: 1 } });
+
+  const dataExports = await DataExport.find({ user: userId }).select("+filePath");
+  for (const dataExport of dataExports) {
+    if (dataExport.filePath) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+    }
+  }
+  await DataExport.deleteMany({ user: userId });
+
+  // Step 7: The user
+  await User.findByIdAndDelete(userId);
+
+  await SecurityEvent.record("account_deleted", {
+    details: { videos: videoIds.length, tweets: tweetIds.length },
+  });
+};
+
+export { purgeUserAccount };
@@ -1,26 +1,191 @@
 import { v2 as cloudinary } from "cloudinary";
-import { response } from "express";
 import fs from "fs";
 
+/*
+  Cloudinary storage provider (see storage.js for the interface).
+
+  Public files are "upload" assets, private ones "authenticated": their
+  delivery urls don't resolve without a signature, getSignedUrl hands out
+  expiring ones.
+*/
+
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
   api_key: process.env.CLOUDINARY_API_KEY,
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
-const uploadOnCloudinary = async (localFilePath) => {
+const deliveryTypeFor = (access = "public") =>
+  access === "private" ? "authenticated" : "upload";
+
+// the stored url is always the public one, it starts working once the file is public
+const publicDeliveryUrl = (response) =>
+  (response.secure_url || response.url)?.replace(
+    `/${response.resource_type}/authenticated/`,
+    `/${response.resource_type}/upload/`
+  );
+
+const toStoredFile = (response) => ({
+  url: publicDeliveryUrl(response),
+  publicId: response.public_id,
+  resourceType: response.resource_type,
+  bytes: response.bytes,
+  format: response.format,
+  width: response.width,
+  height: response.height,
+  duration: response.duration,
+});
+
+const uploadOnCloudinary = async (
+  localFilePath,
+  { folder, resourceType = "auto", keepLocalFileOnError = false, access = "public" } = {}
+) => {
   try {
     if (!localFilePath) return null;
     const response = await cloudinary.uploader.upload(localFilePath, {
-      resource_type: "auto",
+      resource_type: resourceType,
+      type: deliveryTypeFor(access),
+      folder,
     });
     //console.log("file is uploaded on cloudinary", response.url);
     fs.unlinkSync(localFilePath)
+    return toStoredFile(response);
+  } catch (error) {
+    if (!keepLocalFileOnError) fs.rmSync(localFilePath, { force: true });
+    return null;
+  }
+};
+
+// https://res.cloudinary.com/<cloud>/<resource_type>/<type>/v123/<public_id>.<ext>
+// (raw public ids keep their extension)
+const getPublicIdFromUrl = (url) => {
+  const match = url?.match(
+    /\/(image|video|raw)\/(?:upload|authenticated)\/(?:v\d+\/)?([^?]+)/
+  );
+
+  if (!match) return null;
+
+  const [, resourceType, path] = match;
+  const publicId = resourceType === "raw" ? path : path.replace(/\.[^./]+$/, "");
+
+  return { resourceType, publicId };
+};
+
+const deleteFromCloudinary = async (publicId, { resourceType = "image" } = {}) => {
+  try {
+    if (!publicId) return null;
+
+    // the file is either public or private, destroy doesn't care which isn't there
+    let response;
+
+    for (const type of ["upload", "authenticated"]) {
+      response = await cloudinary.uploader.destroy(publicId, {
+        resource_type: resourceType,
+        type,
+        invalidate: true,
+      });
+
+      if (response?.result === "ok") break;
+    }
+
     return response;
   } catch (error) {
-    fs.unlinkSync(localFilePath);
+    // a leftover file is not worth failing the request for
+    console.log("cloudinary delete failed", error?.message);
     return null;
   }
 };
 
-export { uploadOnCloudinary };
+// the uploader and the admin api reject with different shapes
+const isNotFound = (error) => (error?.http_code ?? error?.error?.http_code) === 404;
+
+// switches between "upload" and "authenticated", null if it isn't on the other side
+const setCloudinaryAccess = async (publicId, { resourceType = "image", access }) => {
+  const toType = deliveryTypeFor(access);
+
+  try {
+    const response = await cloudinary.uploader.rename(publicId, publicId, {
+      resource_type: resourceType,
+      type: toType === "upload" ? "authenticated" : "upload",
+      to_type: toType,
+      invalidate: true,
+    });
+
+    return toStoredFile(response);
+  } catch (error) {
+    if (isNotFound(error)) return null;
+    throw error;
+  }
+};
+
+const getCloudinarySignedUrl = (
+  publicId,
+  { resourceType = "image", expiresIn = 3600, access = "public" } = {}
+) => {
+  return cloudinary.utils.private_download_url(publicId, undefined, {
+    resource_type: resourceType,
+    type: deliveryTypeFor(access),
+    expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+    attachment: false,
+  });
+};
+
+const getCloudinaryMetadata = async (publicId, { resourceType = "image" } = {}) => {
+  let response;
+
+  try {
+    response = await cloudinary.api.resource(publicId, {
+      resource_type: resourceType,
+    });
+  } catch (error) {
+    if (!isNotFound(error)) throw error;
+
+    response = await cloudinary.api.resource(publicId, {
+      resource_type: resourceType,
+      type: "authenticated",
+    });
+  }
+
+  return { ...toStoredFile(response), createdAt: new Date(response.created_at) };
+};
+
+// public and private assets of one resource type (under prefix), page by page
+async function* listCloudinaryFiles({ resourceType = "image", prefix } = {}) {
+  for (const type of ["upload", "authenticated"]) {
+    let nextCursor;
+
+    do {
+      const response = await cloudinary.api.resources({
+        type,
+        resource_type: resourceType,
+        prefix,
+        max_results: 500,
+        next_cursor: nextCursor,
+      });
+
+      for (const resource of response.resources) {
+        yield {
+          publicId: resource.public_id,
+          resourceType: resource.resource_type,
+          bytes: resource.bytes,
+          createdAt: new Date(resource.created_at),
+        };
+      }
+
+      nextCursor = response.next_cursor;
+    } while (nextCursor);
+  }
+}
+
+const createCloudinaryStorage = () => ({
+  name: "cloudinary",
+  upload: uploadOnCloudinary,
+  delete: deleteFromCloudinary,
+  setAccess: setCloudinaryAccess,
+  getSignedUrl: getCloudinarySignedUrl,
+  getMetadata: getCloudinaryMetadata,
+  publicIdFromUrl: getPublicIdFromUrl,
+  list: listCloudinaryFiles,
+});
+
+export { createCloudinaryStorage };
@@ -0,0 +1,173 @@
+import fs from "fs";
+import path from "path";
+import { ZipArchive } from "archiver";
+import { User } from "../models/user.model.js";
+import { Like } from "../models/like.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { DataExport } from "../models/dataExport.model.js";
+import { WatchProgress } from "../models/watchProgress.model.js";
+import { WatchHistory } from "../models/watchHistory.model.js";
+import { viewableVideoMatch } from "./videoVisibility.js";
+import { TEMP_DIR } from "./tempDir.js";
+
+/*
+  Builds the personal data export zip: one json file per kind of data.
+  Always in the background (jobs/dataExport.job.js), never in a request.
+*/
+
+// the download may hit another instance than the one that built it,
+// so exports live on the shared TEMP_DIR (never inside public/)
+const EXPORTS_DIR =
+  process.env.DATA_EXPORTS_DIR || path.join(TEMP_DIR, "exports");
+
+const DATA_EXPORT_TTL_DAYS = Number(process.env.DATA_EXPORT_TTL_DAYS) || 7;
+
+// a "processing" export older than this was left behind by a crashed worker
+const DATA_EXPORT_STALE_MINUTES =
+  Number(process.env.DATA_EXPORT_STALE_MINUTES) || 30;
+
+const expiresAtFromNow = () =>
+  new Date(Date.now() + DATA_EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const userSummary = "username fullname avatar";
+
+const collectUserData = async (userId) => {
+  const profile = await User.findById(userId).select("-password").lean();
+
+  const watchHistory = await WatchHistory.find({ user: userId })
+    .sort({ lastWatchedAt: -1 })
+    .select("-user")
+    .populate({
+      path: "video",
+      select: "title description videoFile thumbnail duration owner createdAt",
+      populate: { path: "owner", select: userSummary },
+    })
+    .lean();
+
+  return {
+    "profile.json": profile,
+    "watch-history.json": watchHistory,
+    "watch-progress.json": await WatchProgress.find({ user: userId })
+      .select("-user")
+      .populate("video", "title")
+      .lean(),
+    // only videos the user can still see, like GET /likes/videos
+    "liked-videos.json": await Like.findLikedVideos(userId, {
+      videoMatch: viewableVideoMatch(profile),
+    }),
+    "comments.json": await Comment.find({ owner: userId })
+      .populate("video", "title")
+      .lean(),
+    "tweets.json": await Tweet.find({ owner: userId }).lean(),
+    "playlists.json": await Playlist.find({ owner: userId })
+      .populate("videos", "title")
+      .lean(),
+    "subscriptions.json": {
+      subscribedTo: await Subscription.find({ subscriber: userId })
+        .populate("channel", userSummary)
+        .lean(),
+      subscribers: await Subscription.find({ channel: userId })
+        .populate("subscriber", userSummary)
+        .lean(),
+    },
+  };
+};
+
+const writeZip = async (filePath, files) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const output = fs.createWriteStream(filePath);
+  const archive = new ZipArchive({ zlib: { level: 9 } });
+
+  const done = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    archive.on("error", reject);
+  });
+
+  archive.pipe(output);
+
+  for (const [name, data] of Object.entries(files)) {
+    archive.append(JSON.stringify(data, null, 2), { name });
+  }
+
+  await archive.finalize();
+  await done;
+};
+
+// builds one export, the caller must already have moved it to "processing"
+const buildDataExport = async (dataExport) => {
+  const filePath = path.join(EXPORTS_DIR, `${dataExport._id}.zip`);
+
+  try {
+    const files = await collectUserData(dataExport.user);
+    await writeZip(filePath, files);
+
+    const { size } = await fs.promises.stat(filePath);
+
+    return await DataExport.findByIdAndUpdate(
+      dataExport._id,
+      {
+        $set: {
+          status: "ready",
+          filePath,
+          fileSize: size,
+          completedAt: new Date(),
+          expiresAt: expiresAtFromNow(),
+        },
+      },
+      { new: true }
+    );
+  } catch (error) {
+    await fs.promises.rm(filePath, { force: true });
+
+    // failed ones expire too, so they get cleaned up like the rest
+    return await DataExport.findByIdAndUpdate(
+      dataExport._id,
+      {
+        $set: {
+          status: "failed",
+          error: error.message,
+          completedAt: new Date(),
+          expiresAt: expiresAtFromNow(),
+        },
+      },
+      { new: true }
+    );
+  }
+};
+
+// atomically claims the next pending export so two workers never build the same one
+const claimPendingDataExport = () =>
+  DataExport.findOneAndUpdate(
+    { status: "pending" },
+    { $set: { status: "processing", startedAt: new Date() } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+
+// fails exports whose worker died mid build, so the user can request a new one
+const failStaleDataExports = () =>
+  DataExport.updateMany(
+    {
+      status: "processing",
+      startedAt: {
+        $lt: new Date(Date.now() - DATA_EXPORT_STALE_MINUTES * 60 * 1000),
+      },
+    },
+    {
+      $set: {
+        status: "failed",
+        error: "Export was interrupted",
+        completedAt: new Date(),
+        expiresAt: expiresAtFromNow(),
+      },
+    }
+  );
+
+export {
+  buildDataExport,
+  claimPendingDataExport,
+  failStaleDataExports,
+};
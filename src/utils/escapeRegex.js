@@ -0,0 +1,4 @@
+// user input used inside a $regex must match literally
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export { escapeRegex };
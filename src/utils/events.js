@@ -0,0 +1,13 @@
+import { EventEmitter } from "events";
+
+/*
+  In-process event bus for things other parts of the app may react to
+  (notifications, feeds, webhooks ...). Listeners must not throw.
+
+  Events:
+   - "video.published" { videoId, owner, visibility, publishedAt }
+*/
+
+const appEvents = new EventEmitter();
+
+export { appEvents };
@@ -0,0 +1,125 @@
+import { spawn } from "child_process";
+
+/*
+  Thin wrappers around the locally installed ffmpeg / ffprobe binaries.
+  FFMPEG_PATH / FFPROBE_PATH override where they are found.
+*/
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+
+// a hung ffmpeg is killed after a minute plus this many times the video's length
+const FFMPEG_TIMEOUT_BASE_MS = 60 * 1000;
+const FFMPEG_TIMEOUT_FACTOR = Number(process.env.FFMPEG_TIMEOUT_FACTOR) || 5;
+
+const ffmpegTimeoutFor = (durationSeconds = 0) =>
+  FFMPEG_TIMEOUT_BASE_MS + Math.ceil((Number(durationSeconds) || 0) * 1000 * FFMPEG_TIMEOUT_FACTOR);
+
+// ffprobe only reads headers, a file it can't finish in time is treated as unreadable
+const FFPROBE_TIMEOUT_MS = Number(process.env.FFPROBE_TIMEOUT_MS) || 30 * 1000;
+
+// resolves with stdout, rejects with the tail of stderr
+const runCommand = (command, args, { timeoutMs = 0 } = {}) => {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["ignore", "pipe", "pipe"] });
+
+    let stdout = "";
+    let stderr = "";
+    let timer;
+
+    child.stdout.on("data", (data) => (stdout += data));
+    child.stderr.on("data", (data) => {
+      stderr = (stderr + data).slice(-4000);
+    });
+
+    if (timeoutMs) {
+      timer = setTimeout(() => child.kill("SIGKILL"), timeoutMs);
+    }
+
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      const startError = new Error(`${command} could not be started: ${error.message}`);
+      startError.notInstalled = true;
+      reject(startError);
+    });
+
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+
+      if (code === 0) return resolve(stdout);
+
+      reject(
+        new Error(
+          `${command} failed (${signal || `exit code ${code}`}): ${stderr.trim().split("\n").slice(-3).join(" ")}`
+        )
+      );
+    });
+  });
+};
+
+const runFfmpeg = (args, options) =>
+  runCommand(FFMPEG_PATH, ["-hide_banner", "-loglevel", "error", "-y", ...args], options);
+
+const runFfprobe = async (filePath, { timeoutMs = FFPROBE_TIMEOUT_MS } = {}) => {
+  const output = await runCommand(FFPROBE_PATH, [
+    "-v",
+    "error",
+    "-print_format",
+    "json",
+    "-show_format",
+    "-show_streams",
+    filePath,
+  ], { timeoutMs });
+
+  return JSON.parse(output);
+};
+
+// "30000/1001" -> 29.97
+const parseFrameRate = (value) => {
+  const [numerator, denominator = 1] = String(value || "").split("/").map(Number);
+  if (!numerator || !denominator) return null;
+  return Math.round((numerator / denominator) * 100) / 100;
+};
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/*
+  Probes a local file and returns what we store on the Video,
+  or null if the file has no real video stream (images, audio, garbage).
+*/
+const probeVideo = async (filePath) => {
+  let probe;
+
+  try {
+    probe = await runFfprobe(filePath);
+  } catch (error) {
+    if (error.notInstalled) throw error;
+    return null; // ffprobe couldn't read it at all (or timed out)
+  }
+
+  const videoStream = probe.streams?.find(
+    (stream) => stream.codec_type === "video" && stream.disposition?.attached_pic !== 1
+  );
+  const audioStream = probe.streams?.find((stream) => stream.codec_type === "audio");
+  const duration = toNumber(probe.format?.duration ?? videoStream?.duration);
+
+  // a single still image also shows up as a "video" stream
+  if (!videoStream || !duration) return null;
+
+  return {
+    duration,
+    width: videoStream.width,
+    height: videoStream.height,
+    frameRate: parseFrameRate(videoStream.avg_frame_rate || videoStream.r_frame_rate),
+    videoCodec: videoStream.codec_name,
+    audioCodec: audioStream?.codec_name || null,
+    bitrate: toNumber(probe.format?.bit_rate),
+    fileSize: toNumber(probe.format?.size),
+    container: probe.format?.format_name,
+  };
+};
+
+export { runFfmpeg, runFfprobe, probeVideo, ffmpegTimeoutFor };
@@ -0,0 +1,87 @@
+import fs from "fs";
+import path from "path";
+import { runFfmpeg, ffmpegTimeoutFor } from "./ffmpeg.js";
+import { removeStoredFile } from "./storage.js";
+
+/*
+  HLS renditions with ffmpeg: one ffmpeg run per rendition,
+  then a master playlist that points at all of them.
+*/
+
+// highest first, only renditions not bigger than the source are produced
+const HLS_LADDER = [
+  { name: "1080p", height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+  { name: "720p", height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: "480p", height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  { name: "360p", height: 360, videoBitrate: 800, audioBitrate: 96 },
+];
+
+const HLS_SEGMENT_SECONDS = 6;
+
+const pickRenditions = (sourceHeight) => {
+  const fitting = HLS_LADDER.filter((rendition) => rendition.height <= sourceHeight);
+  return fitting.length ? fitting : [HLS_LADDER[HLS_LADDER.length - 1]];
+};
+
+// writes <outputDir>/index.m3u8 + seg_000.ts ..., duration (seconds) bounds the ffmpeg run
+const transcodeRendition = async (sourcePath, outputDir, rendition, { duration } = {}) => {
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  const { height, videoBitrate, audioBitrate } = rendition;
+
+  await runFfmpeg([
+    "-i", sourcePath,
+    "-vf", `scale=-2:${height}`,
+    "-c:v", "libx264",
+    "-preset", "veryfast",
+    "-profile:v", "main",
+    "-b:v", `${videoBitrate}k`,
+    "-maxrate", `${Math.round(videoBitrate * 1.07)}k`,
+    "-bufsize", `${videoBitrate * 2}k`,
+    "-g", "48",
+    "-keyint_min", "48",
+    "-sc_threshold", "0",
+    "-c:a", "aac",
+    "-b:a", `${audioBitrate}k`,
+    "-ac", "2",
+    "-hls_time", String(HLS_SEGMENT_SECONDS),
+    "-hls_playlist_type", "vod",
+    "-hls_segment_filename", path.join(outputDir, "seg_%03d.ts"),
+    path.join(outputDir, "index.m3u8"),
+  ], { timeoutMs: ffmpegTimeoutFor(duration) });
+};
+
+// replaces segment file names in a playlist with their uploaded urls
+const rewritePlaylist = (playlist, urlsByFileName) =>
+  playlist
+    .split("\n")
+    .map((line) => (urlsByFileName[line.trim()] ? urlsByFileName[line.trim()] : line))
+    .join("\n");
+
+const buildMasterPlaylist = (renditions) => {
+  const lines = ["#EXTM3U", "#EXT-X-VERSION:3"];
+
+  for (const rendition of renditions) {
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},NAME="${rendition.name}"`,
+      rendition.playlistUrl
+    );
+  }
+
+  return lines.join("\n") + "\n";
+};
+
+const removeHlsFiles = async (publicIds = []) => {
+  for (const publicId of publicIds) {
+    await removeStoredFile({ publicId, resourceType: "raw" });
+  }
+};
+
+export {
+  HLS_LADDER,
+  pickRenditions,
+  transcodeRendition,
+  rewritePlaylist,
+  buildMasterPlaylist,
+  removeHlsFiles,
+};
@@ -0,0 +1,221 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+/*
+  Local filesystem storage provider (see storage.js for the interface).
+
+  Public files go to public/uploads/<folder>/ and are served by express.static,
+  so this works offline and in tests without any Cloudinary account.
+  Private ones go to private/uploads/<folder>/, outside everything served,
+  and are only readable through a signed /media/<publicId> url
+  (controllers/media.controller.js checks the signature).
+*/
+
+const PUBLIC_DIR = path.resolve("public");
+const PRIVATE_DIR = path.resolve("private");
+const UPLOADS_DIR = "uploads";
+
+const VIDEO_EXTENSIONS = [".mp4", ".mov", ".mkv", ".webm", ".avi", ".m4v"];
+
+const RAW_EXTENSIONS = [".m3u8", ".ts"]; // HLS playlists and segments
+
+const resourceTypeOf = (fileName) => {
+  const extension = path.extname(fileName).toLowerCase();
+
+  if (VIDEO_EXTENSIONS.includes(extension)) return "video";
+  if (RAW_EXTENSIONS.includes(extension)) return "raw";
+  return "image";
+};
+
+const publicUrlFor = (publicId) =>
+  `${process.env.PUBLIC_BASE_URL || ""}/${UPLOADS_DIR}/${publicId}`;
+
+const privateUrlFor = (publicId) =>
+  `${process.env.PUBLIC_BASE_URL || ""}/media/${publicId}`;
+
+const uploadsRootFor = (access = "public") =>
+  path.join(access === "private" ? PRIVATE_DIR : PUBLIC_DIR, UPLOADS_DIR);
+
+// publicId is the path below <root>/uploads, never allowed to escape it
+const absolutePathFor = (publicId, access = "public") => {
+  const uploadsRoot = uploadsRootFor(access);
+  const filePath = path.resolve(uploadsRoot, publicId);
+
+  if (!filePath.startsWith(uploadsRoot + path.sep)) {
+    throw new Error("Invalid public id");
+  }
+
+  return filePath;
+};
+
+const uploadToLocalDisk = async (
+  localFilePath,
+  { folder = "", resourceType, keepLocalFileOnError = false, access = "public" } = {}
+) => {
+  try {
+    if (!localFilePath) return null;
+
+    const extension = path.extname(localFilePath).toLowerCase();
+    const publicId = path.posix.join(
+      folder,
+      `${crypto.randomUUID()}${extension}`
+    );
+    const destination = absolutePathFor(publicId, access);
+
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    await fs.promises.rename(localFilePath, destination);
+
+    const { size } = await fs.promises.stat(destination);
+
+    return {
+      url: publicUrlFor(publicId),
+      publicId,
+      resourceType:
+        resourceType && resourceType !== "auto"
+          ? resourceType
+          : resourceTypeOf(destination),
+      bytes: size,
+      format: extension.slice(1),
+    };
+  } catch (error) {
+    if (!keepLocalFileOnError) fs.rmSync(localFilePath, { force: true });
+    return null;
+  }
+};
+
+const deleteFromLocalDisk = async (publicId) => {
+  try {
+    if (!publicId) return null;
+
+    await fs.promises.rm(absolutePathFor(publicId), { force: true });
+    await fs.promises.rm(absolutePathFor(publicId, "private"), { force: true });
+    return { result: "ok" };
+  } catch (error) {
+    console.log("local delete failed", error?.message);
+    return null;
+  }
+};
+
+// moves a file between public/ and private/, null if it isn't on the other side
+const setLocalAccess = async (publicId, { access }) => {
+  const from = absolutePathFor(publicId, access === "private" ? "public" : "private");
+  const to = absolutePathFor(publicId, access);
+
+  if (!fs.existsSync(from)) return null;
+
+  await fs.promises.mkdir(path.dirname(to), { recursive: true });
+  await fs.promises.rename(from, to);
+
+  return { url: publicUrlFor(publicId), publicId, resourceType: resourceTypeOf(publicId) };
+};
+
+// index.js refuses to start the local provider without STORAGE_SIGNING_SECRET
+const signatureFor = (publicId, expires) =>
+  crypto
+    .createHmac("sha256", process.env.STORAGE_SIGNING_SECRET)
+    .update(`${publicId}:${expires}`)
+    .digest("hex");
+
+const getLocalSignedUrl = (publicId, { expiresIn = 3600, access = "public" } = {}) => {
+  if (access !== "private") return publicUrlFor(publicId);
+
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const signature = signatureFor(publicId, expires);
+
+  return `${privateUrlFor(publicId)}?expires=${expires}&signature=${signature}`;
+};
+
+// path of a private file if the signature matches and hasn't expired, else null
+const resolveLocalSignedPath = (publicId, { expires, signature } = {}) => {
+  const expiresAt = Number(expires);
+
+  if (!Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000) return null;
+  if (typeof signature !== "string") return null;
+
+  const expected = Buffer.from(signatureFor(publicId, expiresAt), "hex");
+  const given = Buffer.from(signature, "hex");
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return null;
+  }
+
+  return absolutePathFor(publicId, "private");
+};
+
+const existingPathFor = (publicId) => {
+  const publicPath = absolutePathFor(publicId);
+  return fs.existsSync(publicPath) ? publicPath : absolutePathFor(publicId, "private");
+};
+
+const getLocalMetadata = async (publicId) => {
+  const stats = await fs.promises.stat(existingPathFor(publicId));
+
+  return {
+    url: publicUrlFor(publicId),
+    publicId,
+    resourceType: resourceTypeOf(publicId),
+    bytes: stats.size,
+    format: path.extname(publicId).slice(1),
+    createdAt: stats.birthtime,
+  };
+};
+
+const getLocalPublicIdFromUrl = (url) => {
+  for (const marker of [`/${UPLOADS_DIR}/`, "/media/"]) {
+    const index = url?.indexOf(marker) ?? -1;
+
+    if (index === -1) continue;
+
+    const publicId = url.slice(index + marker.length).split("?")[0];
+    return { publicId, resourceType: resourceTypeOf(publicId) };
+  }
+
+  return null;
+};
+
+async function* listLocalFiles({ resourceType, prefix } = {}) {
+  for (const access of ["public", "private"]) {
+    const uploadsRoot = uploadsRootFor(access);
+
+    if (!fs.existsSync(uploadsRoot)) continue;
+
+    const entries = await fs.promises.readdir(uploadsRoot, {
+      recursive: true,
+      withFileTypes: true,
+    });
+
+    for (const entry of entries) {
+      if (!entry.isFile()) continue;
+
+      const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+      const publicId = path.relative(uploadsRoot, filePath).split(path.sep).join("/");
+
+      if (resourceType && resourceTypeOf(publicId) !== resourceType) continue;
+      if (prefix && !publicId.startsWith(prefix)) continue;
+
+      const stats = await fs.promises.stat(filePath);
+
+      yield {
+        publicId,
+        resourceType: resourceTypeOf(publicId),
+        bytes: stats.size,
+        createdAt: stats.birthtime,
+      };
+    }
+  }
+}
+
+const createLocalDiskStorage = () => ({
+  name: "local",
+  upload: uploadToLocalDisk,
+  delete: deleteFromLocalDisk,
+  setAccess: setLocalAccess,
+  getSignedUrl: getLocalSignedUrl,
+  resolveSignedPath: resolveLocalSignedPath,
+  getMetadata: getLocalMetadata,
+  publicIdFromUrl: getLocalPublicIdFromUrl,
+  list: listLocalFiles,
+});
+
+export { createLocalDiskStorage };
@@ -0,0 +1,136 @@
+import { LoginAttempt } from "../models/loginAttempt.model.js";
+import { SecurityEvent } from "../models/securityEvent.model.js";
+
+/*
+  Brute force protection for logins.
+
+  - first FREE_ATTEMPTS failures cost nothing
+  - after that every failure doubles the wait before the next try
+  - reaching the threshold locks the key for LOCKOUT_MINUTES (audited)
+  - once a lockout is over the key starts from zero again
+
+  Every attempt is counted (atomically) before the credentials are checked,
+  so parallel requests can't all pass the check before the first failure
+  is written. A successful attempt gives its count back.
+*/
+
+const FREE_ATTEMPTS = 3;
+const BACKOFF_BASE_SECONDS = Number(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 1;
+const MAX_BACKOFF_SECONDS = 15 * 60;
+const MAX_ACCOUNT_FAILURES = Number(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 10;
+const MAX_IP_FAILURES = Number(process.env.LOGIN_MAX_IP_FAILURES) || 50;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const COUNTER_WINDOW_HOURS = 24;
+
+const accountKey = (value) => `account:${String(value).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const thresholdFor = (key) =>
+  key.startsWith("ip:") ? MAX_IP_FAILURES : MAX_ACCOUNT_FAILURES;
+
+// takes a count back, for attempts that were refused or succeeded
+const uncountLoginAttempt = async (keys) => {
+  await LoginAttempt.updateMany(
+    { key: { $in: keys }, failures: { $gt: 0 } },
+    { $inc: { failures: -1 } }
+  );
+};
+
+/*
+  Counts an attempt for every key, returns the seconds to wait before the
+  next one is allowed (0 = go ahead). A refused attempt isn't counted.
+*/
+const startLoginAttempt = async (keys) => {
+  const now = new Date();
+  let waitMs = 0;
+
+  for (const key of keys) {
+    // a lapsed lockout would otherwise re-lock on every single failure
+    await LoginAttempt.updateOne(
+      { key, lockedUntil: { $lte: now } },
+      { $set: { failures: 0 }, $unset: { lockedUntil: 1, nextAttemptAt: 1 } }
+    );
+
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: {
+          expiresAt: new Date(now.getTime() + COUNTER_WINDOW_HOURS * 60 * 60 * 1000),
+        },
+      },
+      { upsert: true, new: true }
+    );
+
+    const blockedUntil = Math.max(
+      attempt.lockedUntil?.getTime() || 0,
+      attempt.nextAttemptAt?.getTime() || 0
+    );
+
+    waitMs = Math.max(waitMs, blockedUntil - now.getTime());
+
+    // parallel attempts past the threshold, the lock isn't written yet
+    if (attempt.failures > thresholdFor(key)) {
+      waitMs = Math.max(waitMs, LOCKOUT_MINUTES * 60 * 1000);
+    }
+  }
+
+  if (waitMs > 0) {
+    await uncountLoginAttempt(keys);
+  }
+
+  return Math.max(0, Math.ceil(waitMs / 1000));
+};
+
+// the attempt (already counted by startLoginAttempt) failed: backoff / lockout
+const recordLoginFailure = async (keys, { req, user } = {}) => {
+  const now = new Date();
+
+  for (const key of keys) {
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { key },
+      { $set: { lastFailedAt: now } },
+      { new: true }
+    );
+
+    if (!attempt) continue;
+
+    const update = {};
+
+    if (attempt.failures > FREE_ATTEMPTS) {
+      const backoffSeconds = Math.min(
+        BACKOFF_BASE_SECONDS * 2 ** (attempt.failures - FREE_ATTEMPTS - 1),
+        MAX_BACKOFF_SECONDS
+      );
+      update.nextAttemptAt = new Date(now.getTime() + backoffSeconds * 1000);
+    }
+
+    // only the attempt reaching the threshold locks (and is audited)
+    if (attempt.failures >= thresholdFor(key) && !attempt.lockedUntil) {
+      update.lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+
+      await SecurityEvent.record("login_lockout", {
+        user: key.startsWith("account:") ? user?._id : undefined,
+        req,
+        details: { key, failures: attempt.failures, lockedUntil: update.lockedUntil },
+      });
+    }
+
+    if (Object.keys(update).length) {
+      await LoginAttempt.updateOne({ _id: attempt._id }, { $set: update });
+    }
+  }
+};
+
+const clearLoginFailures = async (keys) => {
+  await LoginAttempt.deleteMany({ key: { $in: keys } });
+};
+
+export {
+  accountKey,
+  ipKey,
+  startLoginAttempt,
+  uncountLoginAttempt,
+  recordLoginFailure,
+  clearLoginFailures,
+};
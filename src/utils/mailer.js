@@ -0,0 +1,105 @@
+import nodemailer from "nodemailer";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/*
+  Mail transports.
+
+  Every transport is just an object with `send({ to, subject, text, html })`.
+  MAIL_TRANSPORT picks one:
+   - "smtp"    : real delivery through SMTP_* env variables
+   - "file"    : writes every mail as json into MAIL_OUTBOX_DIR (local dev / tests)
+   - "console" : prints the mail
+  Unset, it is "smtp" with NODE_ENV=production and "console" otherwise,
+  so a production server never just logs mails (they carry tokens).
+*/
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      return await transporter.sendMail({
+        from: process.env.MAIL_FROM,
+        ...message,
+      });
+    },
+  };
+};
+
+// never point this inside public/, mails contain tokens
+const createFileTransport = (
+  dir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), "vidtube-outbox")
+) => {
+  return {
+    name: "file",
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const file = path.join(
+        dir,
+        `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`
+      );
+
+      await fs.promises.writeFile(
+        file,
+        JSON.stringify({ from: process.env.MAIL_FROM, ...message }, null, 2)
+      );
+
+      return { file };
+    },
+  };
+};
+
+const createConsoleTransport = () => {
+  return {
+    name: "console",
+    send: async (message) => {
+      console.log("[mail]", JSON.stringify(message, null, 2));
+      return {};
+    },
+  };
+};
+
+let transport = null;
+
+const getMailTransport = () => {
+  if (transport) return transport;
+
+  const defaultTransport =
+    process.env.NODE_ENV === "production" ? "smtp" : "console";
+
+  switch (process.env.MAIL_TRANSPORT || defaultTransport) {
+    case "smtp":
+      transport = createSmtpTransport();
+      break;
+    case "file":
+      transport = createFileTransport();
+      break;
+    default:
+      transport = createConsoleTransport();
+  }
+
+  return transport;
+};
+
+const sendMail = async (message) => {
+  return await getMailTransport().send(message);
+};
+
+export {
+  sendMail,
+  getMailTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+};
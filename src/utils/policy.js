@@ -0,0 +1,60 @@
+import { ApiError } from "./ApiError.js";
+import { USER_ROLES } from "../constants.js";
+
+/*
+  Authorization policy.
+
+  Owners can always act on their own stuff (the default rule).
+  On top of that every action lists the roles allowed to do it on anyone's:
+   - moderators can remove any comment or tweet
+   - admins can manage any video, playlist, comment, tweet or user
+     and see private videos (utils/videoVisibility.js)
+*/
+
+const { MODERATOR, ADMIN } = USER_ROLES;
+
+const ROLE_RULES = {
+  "video:view": [ADMIN],
+  "video:update": [ADMIN],
+  "video:delete": [ADMIN],
+  "video:publish": [ADMIN],
+  "playlist:update": [ADMIN],
+  "playlist:delete": [ADMIN],
+  "comment:update": [],
+  "comment:delete": [MODERATOR, ADMIN],
+  "tweet:update": [],
+  "tweet:delete": [MODERATOR, ADMIN],
+  "user:update": [ADMIN],
+  "user:delete": [ADMIN],
+  "user:manageRoles": [ADMIN],
+};
+
+// for "user:*" actions the resource is the account itself
+const getOwnerId = (action, resource) => {
+  const owner = action.startsWith("user:") ? resource?._id : resource?.owner;
+  return (owner?._id ?? owner)?.toString();
+};
+
+const isOwner = (user, action, resource) => {
+  const ownerId = getOwnerId(action, resource);
+  return Boolean(ownerId) && ownerId === user?._id?.toString();
+};
+
+const can = (user, action, resource) => {
+  if (!user) return false;
+
+  if (action !== "user:manageRoles" && isOwner(user, action, resource)) {
+    return true;
+  }
+
+  return (ROLE_RULES[action] || []).includes(user.role);
+};
+
+// throws the same 403 the controllers used to throw by hand
+const authorize = (user, action, resource) => {
+  if (!can(user, action, resource)) {
+    throw new ApiError(403, "Not allowed");
+  }
+};
+
+export { can, authorize };
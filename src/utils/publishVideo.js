@@ -0,0 +1,112 @@
+import fs from "fs";
+import { Video } from "../models/video.model.js";
+import { enqueueJob } from "../jobs/queue.js";
+import { ApiError } from "./ApiError.js";
+import { probeVideo } from "./ffmpeg.js";
+import { parsePublishAt, scheduleVideo } from "./videoSchedule.js";
+import { parseTags, parseCategory } from "./videoTaxonomy.js";
+import { mediaAccessFor } from "./videoMedia.js";
+import { VIDEO_VISIBILITY } from "../constants.js";
+
+/*
+  The publish flow shared by the plain multipart upload (publishAVideo)
+  and finalized chunked uploads.
+
+  Only creates the Video in "processing" state and queues the upload,
+  jobs/videoProcessing.job.js does the slow part and flips it to ready / failed.
+  The local files must stay in TEMP_DIR (shared between instances) until then.
+
+  The file is probed here, before anything is uploaded, so non-video
+  files are rejected right away instead of failing in the job.
+*/
+
+/*
+  Validates the optional publish fields of both upload flows and returns
+  { visibility, publishAt, tags, category } for publishVideoFromFiles.
+  Throws 400s, call it before touching the uploaded files.
+*/
+const parsePublishFields = (body = {}) => {
+  const { visibility } = body;
+
+  if (visibility && !Object.values(VIDEO_VISIBILITY).includes(visibility)) {
+    throw new ApiError(400, "Invalid visibility");
+  }
+
+  // optional, goes live at this time with the given visibility
+  const publishAt = parsePublishAt(body.publishAt);
+
+  if (publishAt && visibility === VIDEO_VISIBILITY.PRIVATE) {
+    throw new ApiError(400, "Scheduled videos go live as public or unlisted");
+  }
+
+  // tags: array or "a, b, c", category: one of VIDEO_CATEGORIES
+  return {
+    visibility,
+    publishAt,
+    tags: parseTags(body.tags),
+    category: parseCategory(body.category),
+  };
+};
+
+const publishVideoFromFiles = async ({
+  owner,
+  title,
+  description,
+  videoLocalPath,
+  thumbnailLocalPath,
+  visibility,
+  publishAt,
+  tags,
+  category,
+}) => {
+  // thumbnail is optional, frames are extracted without one
+  const removeLocalFiles = () => {
+    fs.rmSync(videoLocalPath, { force: true });
+    if (thumbnailLocalPath) fs.rmSync(thumbnailLocalPath, { force: true });
+  };
+
+  let metadata;
+
+  try {
+    metadata = await probeVideo(videoLocalPath);
+  } catch (error) {
+    removeLocalFiles();
+    throw error;
+  }
+
+  if (!metadata) {
+    removeLocalFiles();
+    throw new ApiError(422, "Uploaded file is not a valid video");
+  }
+
+  const { duration, ...details } = metadata;
+
+  const video = new Video({
+    title,
+    description,
+    duration,
+    metadata: details,
+    visibility,
+    tags,
+    category: category || undefined,
+    processingStatus: "processing",
+    owner,
+  });
+
+  if (publishAt) scheduleVideo(video, publishAt, visibility);
+
+  // the job stores the files private right away for a private video
+  video.mediaAccess = mediaAccessFor(video);
+
+  await video.save();
+
+  await enqueueJob("video.process", {
+    videoId: video._id.toString(),
+    videoLocalPath,
+    thumbnailLocalPath,
+  });
+
+  return video;
+};
+
+export { parsePublishFields, publishVideoFromFiles };
@@ -0,0 +1,77 @@
+import { createCloudinaryStorage } from "./cloudinary.js";
+import { createLocalDiskStorage } from "./localDiskStorage.js";
+
+/*
+  Media storage.
+
+  Every provider implements:
+   - upload(localFilePath, { folder, resourceType, keepLocalFileOnError, access }) -> { url, publicId, resourceType, bytes, ... } | null
+     (the local temp file is removed, on failure only unless keepLocalFileOnError)
+   - delete(publicId, { resourceType })
+   - setAccess(publicId, { resourceType, access }) -> { url, ... } | null
+     (null if the file already has that access or doesn't exist)
+   - getSignedUrl(publicId, { resourceType, expiresIn, access })
+   - getMetadata(publicId, { resourceType })
+   - publicIdFromUrl(url) -> { publicId, resourceType } | null
+   - list({ resourceType, prefix }) -> async iterable of { publicId, resourceType, bytes, createdAt }
+     (prefix limits it to one folder, e.g. "videos/")
+
+  access is "public" (default) or "private". A private file can only be
+  fetched through a getSignedUrl url, its stored url is the public one and
+  only works again once the file is made public.
+  The local provider also has resolveSignedPath for the /media route.
+
+  STORAGE_PROVIDER picks one: "cloudinary" (default) or "local".
+*/
+
+// every folder the app uploads into, nothing outside them is ours
+// (a Cloudinary account may be shared with other apps)
+const STORAGE_FOLDERS = ["videos", "thumbnails", "avatars", "covers", "hls"];
+
+const isInStorageFolders = (publicId) =>
+  STORAGE_FOLDERS.some((folder) => publicId?.startsWith(`${folder}/`));
+
+const providers = {
+  cloudinary: createCloudinaryStorage,
+  local: createLocalDiskStorage,
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (storage) return storage;
+
+  const name = process.env.STORAGE_PROVIDER || "cloudinary";
+  const createStorage = providers[name];
+
+  if (!createStorage) {
+    throw new Error(`Unknown STORAGE_PROVIDER "${name}"`);
+  }
+
+  storage = createStorage();
+  return storage;
+};
+
+/*
+  Deletes a stored file by its public id, falling back to parsing the url
+  for documents saved before public ids were stored. Never throws.
+*/
+const removeStoredFile = async ({ publicId, url, resourceType = "image" }) => {
+  const storage = getStorage();
+  const asset = publicId
+    ? { publicId, resourceType }
+    : storage.publicIdFromUrl(url);
+
+  if (!asset?.publicId) return null;
+
+  return await storage.delete(asset.publicId, {
+    resourceType: asset.resourceType,
+  });
+};
+
+export {
+  STORAGE_FOLDERS,
+  isInStorageFolders,
+  getStorage,
+  removeStoredFile,
+};
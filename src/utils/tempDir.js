@@ -0,0 +1,15 @@
+import path from "path";
+
+/*
+  Local working files: multer uploads, upload chunks, transcode sources,
+  ffmpeg output and data export zips. Kept outside public/ (express.static
+  serves that), in-progress uploads and private sources must never be
+  downloadable.
+  TEMP_DIR has to be shared by every instance that runs jobs.
+*/
+
+const TEMP_DIR = path.resolve(process.env.TEMP_DIR || "temp");
+
+const tempPath = (...segments) => path.join(TEMP_DIR, ...segments);
+
+export { TEMP_DIR, tempPath };
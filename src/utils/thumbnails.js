@@ -0,0 +1,182 @@
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import { runFfmpeg, ffmpegTimeoutFor } from "./ffmpeg.js";
+import { getStorage, removeStoredFile } from "./storage.js";
+import { tempPath } from "./tempDir.js";
+
+/*
+  Thumbnails with ffmpeg: candidate frames grabbed from the video when
+  the owner didn't upload one, and every thumbnail resized for the
+  list (small / medium) and watch (large) views.
+*/
+
+const THUMBNAIL_SIZES = [
+  { name: "small", width: 320 },
+  { name: "medium", width: 640 },
+  { name: "large", width: 1280 },
+];
+
+const THUMBNAIL_CANDIDATE_COUNT = 3;
+
+const THUMBNAIL_WORK_DIR = tempPath("thumbnails");
+
+// spread over the video, skipping the very start and end (often black)
+const candidateTimestamps = (duration, count = THUMBNAIL_CANDIDATE_COUNT) =>
+  Array.from({ length: count }, (_, index) =>
+    Math.round(((duration * (index + 1)) / (count + 1)) * 100) / 100
+  );
+
+// seeking may decode up to the timestamp, so the timeout grows with it
+const extractFrame = async (videoPath, timestamp, outputPath) => {
+  await runFfmpeg([
+    "-ss", String(timestamp),
+    "-i", videoPath,
+    "-frames:v", "1",
+    "-q:v", "2",
+    outputPath,
+  ], { timeoutMs: ffmpegTimeoutFor(timestamp) });
+};
+
+const resizeImage = async (imagePath, width, outputPath) => {
+  // never upscale, keep the aspect ratio with an even height
+  await runFfmpeg([
+    "-i", imagePath,
+    "-vf", `scale='min(${width},iw)':-2`,
+    "-q:v", "3",
+    outputPath,
+  ], { timeoutMs: ffmpegTimeoutFor() });
+};
+
+const uploadImage = async (filePath, access) => {
+  const storedFile = await getStorage().upload(filePath, {
+    folder: "thumbnails",
+    resourceType: "image",
+    access,
+  });
+
+  if (!storedFile) throw new Error(`Upload of ${path.basename(filePath)} failed`);
+
+  return storedFile;
+};
+
+/*
+  Uploads an image plus its resized copies and returns { url, publicId, sizes }.
+  The local file is removed, on failure only without keepLocalFileOnError
+  (same option as storage.upload, the processing job retries with it).
+  access is the video's mediaAccess.
+*/
+const storeThumbnail = async (
+  imagePath,
+  { keepLocalFileOnError = false, access = "public" } = {}
+) => {
+  const workDir = path.join(THUMBNAIL_WORK_DIR, randomUUID());
+  const uploaded = [];
+  let failed = false;
+
+  try {
+    await fs.promises.mkdir(workDir, { recursive: true });
+
+    const sizes = [];
+
+    for (const size of THUMBNAIL_SIZES) {
+      const outputPath = path.join(workDir, `${size.name}.jpg`);
+      await resizeImage(imagePath, size.width, outputPath);
+
+      const storedFile = await uploadImage(outputPath, access);
+      uploaded.push(storedFile);
+
+      sizes.push({
+        name: size.name,
+        width: storedFile.width || size.width,
+        height: storedFile.height,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
+      });
+    }
+
+    const original = await uploadImage(imagePath, access);
+
+    return { url: original.url, publicId: original.publicId, sizes };
+  } catch (error) {
+    failed = true;
+    for (const storedFile of uploaded) {
+      await removeStoredFile(storedFile);
+    }
+    throw error;
+  } finally {
+    if (!(failed && keepLocalFileOnError)) fs.rmSync(imagePath, { force: true });
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+};
+
+// grabs frames from a local video and stores each one (with sizes) as a candidate
+const generateThumbnailCandidates = async (videoPath, duration, { access = "public" } = {}) => {
+  const workDir = path.join(THUMBNAIL_WORK_DIR, randomUUID());
+  const candidates = [];
+
+  try {
+    await fs.promises.mkdir(workDir, { recursive: true });
+
+    for (const [index, timestamp] of candidateTimestamps(duration).entries()) {
+      const framePath = path.join(workDir, `frame_${index}.jpg`);
+      await extractFrame(videoPath, timestamp, framePath);
+
+      const stored = await storeThumbnail(framePath, { access });
+      candidates.push({ ...stored, timestamp });
+    }
+
+    return candidates;
+  } catch (error) {
+    await removeThumbnailFiles({ thumbnailCandidates: candidates });
+    throw error;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+};
+
+// every stored thumbnail file of a video, candidates and sizes included
+const thumbnailFilesOf = (video) => {
+  const files = [
+    { publicId: video.thumbnailPublicId, url: video.thumbnail },
+    ...(video.thumbnailSizes || []),
+    ...(video.thumbnailCandidates || []).flatMap((candidate) => [
+      candidate,
+      ...(candidate.sizes || []),
+    ]),
+  ].filter((file) => file.publicId || file.url);
+
+  const seen = new Set();
+
+  return files
+    .map(({ publicId, url }) => ({ publicId, url }))
+    .filter((file) => {
+      const key = file.publicId || file.url;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+const removeThumbnailFiles = async (video) => {
+  for (const storedFile of thumbnailFilesOf(video)) {
+    await removeStoredFile(storedFile);
+  }
+};
+
+// the current thumbnail is a candidate frame (its files stay for switching back)
+const isCandidateThumbnail = (video) =>
+  (video.thumbnailCandidates || []).some(
+    (candidate) => candidate.publicId === video.thumbnailPublicId
+  );
+
+export {
+  THUMBNAIL_SIZES,
+  THUMBNAIL_CANDIDATE_COUNT,
+  candidateTimestamps,
+  storeThumbnail,
+  generateThumbnailCandidates,
+  thumbnailFilesOf,
+  removeThumbnailFiles,
+  isCandidateThumbnail,
+};
@@ -0,0 +1,13 @@
+import crypto from "crypto";
+
+// Random url-safe token (reset links, refresh tokens etc.)
+const generateToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString("hex");
+};
+
+// Tokens are stored hashed, so a leaked DB can't be replayed
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+export { generateToken, hashToken };
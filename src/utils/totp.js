@@ -0,0 +1,121 @@
+import crypto from "crypto";
+
+/*
+  RFC 6238 TOTP (SHA1, 6 digits, 30s step) - what every authenticator app speaks.
+  Secrets are handled as base32 strings.
+*/
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP (RFC 4226) for one time step
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const currentStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / STEP_SECONDS);
+
+const generateTotp = (secret, time = Date.now()) =>
+  generateCode(secret, currentStep(time));
+
+/*
+  Returns the matched time step (so callers can refuse reusing it)
+  or null. `window` allows for clock drift in steps either side.
+*/
+const verifyTotp = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  if (!secret || !/^\d{6}$/.test(String(code || "").trim())) return null;
+
+  const expected = Buffer.from(String(code).trim());
+  const step = currentStep(time);
+
+  for (let drift = -window; drift <= window; drift++) {
+    const candidate = Buffer.from(generateCode(secret, step + drift));
+
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return step + drift;
+    }
+  }
+
+  return null;
+};
+
+const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export {
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUri,
+  base32Encode,
+  base32Decode,
+};
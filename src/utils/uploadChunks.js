@@ -0,0 +1,80 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { TEMP_DIR, tempPath } from "./tempDir.js";
+
+/*
+  Disk side of chunked uploads: one folder per upload session under TEMP_DIR.
+*/
+
+const CHUNKS_ROOT = tempPath("uploads");
+
+const UPLOAD_CHUNK_MAX_BYTES =
+  Number(process.env.UPLOAD_CHUNK_MAX_BYTES) || 10 * 1024 * 1024;
+
+// smaller chunks only make sense for the last one (or a tiny file)
+const UPLOAD_CHUNK_MIN_BYTES =
+  Number(process.env.UPLOAD_CHUNK_MIN_BYTES) || 1024 * 1024;
+
+// keeps the chunk list of a session small (one document)
+const UPLOAD_MAX_CHUNKS = Number(process.env.UPLOAD_MAX_CHUNKS) || 10000;
+
+const UPLOAD_MAX_FILE_BYTES =
+  Number(process.env.UPLOAD_MAX_FILE_BYTES) || 5 * 1024 * 1024 * 1024;
+
+const UPLOAD_SESSION_TTL_HOURS =
+  Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+
+const chunkDirFor = (uploadId) => path.join(CHUNKS_ROOT, String(uploadId));
+
+const chunkPathFor = (uploadId, index) =>
+  path.join(chunkDirFor(uploadId), `${index}.part`);
+
+const sha256 = (buffer) =>
+  crypto.createHash("sha256").update(buffer).digest("hex");
+
+const writeChunk = async (uploadId, index, buffer) => {
+  await fs.promises.mkdir(chunkDirFor(uploadId), { recursive: true });
+  await fs.promises.writeFile(chunkPathFor(uploadId, index), buffer);
+};
+
+// concatenates all chunks in order into one file next to the chunk folder
+const assembleChunks = async (uploadId, totalChunks, fileName) => {
+  const target = path.join(TEMP_DIR, `${uploadId}-${path.basename(fileName)}`);
+  const output = fs.createWriteStream(target);
+
+  try {
+    for (let index = 0; index < totalChunks; index++) {
+      await pipeline(
+        fs.createReadStream(chunkPathFor(uploadId, index)),
+        output,
+        { end: false }
+      );
+    }
+  } catch (error) {
+    output.destroy();
+    await fs.promises.rm(target, { force: true });
+    throw error;
+  }
+
+  await new Promise((resolve) => output.end(resolve));
+
+  return target;
+};
+
+const removeChunks = async (uploadId) => {
+  await fs.promises.rm(chunkDirFor(uploadId), { recursive: true, force: true });
+};
+
+export {
+  UPLOAD_CHUNK_MAX_BYTES,
+  UPLOAD_CHUNK_MIN_BYTES,
+  UPLOAD_MAX_CHUNKS,
+  UPLOAD_MAX_FILE_BYTES,
+  UPLOAD_SESSION_TTL_HOURS,
+  sha256,
+  writeChunk,
+  assembleChunks,
+  removeChunks,
+};
@@ -0,0 +1,103 @@
+import { VIDEO_VISIBILITY } from "../constants.js";
+import { enqueueJob } from "../jobs/queue.js";
+import { getStorage } from "./storage.js";
+import { thumbnailFilesOf } from "./thumbnails.js";
+
+/*
+  The stored files of a private video are private too (see storage.js):
+  their urls don't resolve, responses carry expiring signed ones instead.
+
+  video.mediaAccess is where the files are right now. A visibility change
+  queues "video.media-access" (jobs/videoMediaAccess.job.js) to move them,
+  until it ran the old access still applies.
+
+  HLS playlists list their segments by permanent url, so private media has
+  no manifest, the player falls back to the (signed) source file.
+*/
+
+const PRIVATE_MEDIA_URL_EXPIRY_SECONDS =
+  Number(process.env.PRIVATE_MEDIA_URL_EXPIRY_SECONDS) || 60 * 60;
+
+const mediaAccessFor = (video) =>
+  video.visibility === VIDEO_VISIBILITY.PRIVATE ? "private" : "public";
+
+/*
+  Every stored file of a video (load it with +thumbnailCandidates
+  +hlsFilePublicIds), files saved before public ids were stored
+  by the public id in their url.
+*/
+const videoMediaFiles = (video) => {
+  const storage = getStorage();
+  const withPublicId = (file, resourceType) => ({
+    publicId: file.publicId || storage.publicIdFromUrl(file.url)?.publicId,
+    resourceType,
+  });
+
+  return [
+    withPublicId({ publicId: video.videoFilePublicId, url: video.videoFile }, "video"),
+    ...thumbnailFilesOf(video).map((file) => withPublicId(file, "image")),
+    ...(video.hlsFilePublicIds || []).map((publicId) => ({ publicId, resourceType: "raw" })),
+  ].filter((file) => file.publicId);
+};
+
+/*
+  Queues the file move when the visibility asks for another access.
+  filesAccess is the access files were just stored with by a job that
+  loaded the video earlier (the files may have moved since).
+*/
+const syncVideoMediaAccess = async (video, { filesAccess } = {}) => {
+  if (!video) return;
+
+  const access = mediaAccessFor(video);
+  if (access === video.mediaAccess && (filesAccess ?? access) === access) return;
+
+  await enqueueJob("video.media-access", { videoId: video._id.toString() });
+};
+
+/*
+  Swaps the urls of private media for signed ones, by the stored public ids.
+  Only the media fields the object has are touched, so it works on
+  projections too. Takes and returns a plain object (video.toObject()).
+*/
+const withVideoMediaUrls = (video) => {
+  if (video?.mediaAccess !== "private") return video;
+
+  const storage = getStorage();
+  const sign = (publicId, resourceType = "image") =>
+    publicId
+      ? storage.getSignedUrl(publicId, {
+        resourceType,
+        access: "private",
+        expiresIn: PRIVATE_MEDIA_URL_EXPIRY_SECONDS,
+      })
+      : null;
+  const signSizes = (sizes) =>
+    sizes?.map((size) => ({ ...size, url: sign(size.publicId) }));
+
+  const signed = {
+    ...video,
+    urlsExpireAt: new Date(Date.now() + PRIVATE_MEDIA_URL_EXPIRY_SECONDS * 1000),
+  };
+
+  if ("videoFile" in video) signed.videoFile = sign(video.videoFilePublicId, "video");
+  if ("thumbnail" in video) signed.thumbnail = sign(video.thumbnailPublicId);
+  if (video.thumbnailSizes) signed.thumbnailSizes = signSizes(video.thumbnailSizes);
+  if (video.thumbnailCandidates) {
+    signed.thumbnailCandidates = video.thumbnailCandidates.map((candidate) => ({
+      ...candidate,
+      url: sign(candidate.publicId),
+      sizes: signSizes(candidate.sizes),
+    }));
+  }
+  if ("manifestUrl" in video) signed.manifestUrl = null;
+  if ("renditions" in video) signed.renditions = [];
+
+  return signed;
+};
+
+export {
+  mediaAccessFor,
+  videoMediaFiles,
+  syncVideoMediaAccess,
+  withVideoMediaUrls,
+};
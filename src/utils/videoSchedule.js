@@ -0,0 +1,46 @@
+import { ApiError } from "./ApiError.js";
+import { VIDEO_VISIBILITY } from "../constants.js";
+
+/*
+  Scheduled publishing: a scheduled video is kept private (so every
+  visibility check hides it) with publishAt + the visibility it gets then.
+  jobs/videoScheduler.job.js flips it when the time comes.
+*/
+
+const { PUBLIC, UNLISTED } = VIDEO_VISIBILITY;
+
+// body value -> Date, null for "cancel the schedule", undefined if not sent
+const parsePublishAt = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === "" || value === "null") return null;
+
+  const publishAt = new Date(value);
+
+  if (Number.isNaN(publishAt.getTime())) {
+    throw new ApiError(400, "publishAt must be a valid date");
+  }
+
+  if (publishAt <= new Date()) {
+    throw new ApiError(400, "publishAt must be in the future");
+  }
+
+  return publishAt;
+};
+
+const scheduleVideo = (video, publishAt, visibility = PUBLIC) => {
+  if (![PUBLIC, UNLISTED].includes(visibility)) {
+    throw new ApiError(400, "Scheduled videos go live as public or unlisted");
+  }
+
+  video.publishAt = publishAt;
+  video.scheduledVisibility = visibility;
+  video.visibility = VIDEO_VISIBILITY.PRIVATE;
+};
+
+// the video stays private, the owner decides what happens next
+const cancelVideoSchedule = (video) => {
+  video.publishAt = undefined;
+  video.scheduledVisibility = undefined;
+};
+
+export { parsePublishAt, scheduleVideo, cancelVideoSchedule };
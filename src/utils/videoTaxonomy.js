@@ -0,0 +1,93 @@
+import { ApiError } from "./ApiError.js";
+import { VIDEO_CATEGORIES } from "../constants.js";
+
+/*
+  Tags, categories and the duration buckets used to filter listings.
+*/
+
+const MAX_VIDEO_TAGS = 15;
+const MAX_TAG_LENGTH = 30;
+
+// seconds, upper bound exclusive
+const DURATION_BUCKETS = {
+  short: { max: 4 * 60 },
+  medium: { min: 4 * 60, max: 20 * 60 },
+  long: { min: 20 * 60 },
+};
+
+// "#Node JS " -> "node-js"
+const normalizeTag = (tag) =>
+  String(tag)
+    .trim()
+    .toLowerCase()
+    .replace(/^#+/, "")
+    .replace(/[\s_]+/g, "-")
+    .replace(/[^\p{L}\p{N}-]/gu, "")
+    .replace(/-{2,}/g, "-")
+    .replace(/^-|-$/g, "");
+
+/*
+  Accepts an array or a comma separated string (multipart forms),
+  returns unique normalized tags or throws a 400.
+*/
+const parseTags = (value) => {
+  if (value === undefined) return undefined;
+
+  const rawTags = Array.isArray(value) ? value : String(value).split(",");
+  const tags = [...new Set(rawTags.map(normalizeTag).filter(Boolean))];
+
+  if (tags.length > MAX_VIDEO_TAGS) {
+    throw new ApiError(400, `A video can have at most ${MAX_VIDEO_TAGS} tags`);
+  }
+
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    throw new ApiError(400, `Tags can be at most ${MAX_TAG_LENGTH} characters`);
+  }
+
+  return tags;
+};
+
+const parseCategory = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+
+  if (!VIDEO_CATEGORIES.includes(value)) {
+    throw new ApiError(400, "Invalid category", [{ categories: VIDEO_CATEGORIES }]);
+  }
+
+  return value;
+};
+
+// "short" -> { $gte, $lt } on duration
+const durationMatch = (bucket) => {
+  const range = DURATION_BUCKETS[bucket];
+
+  if (!range) {
+    throw new ApiError(400, `duration must be one of ${Object.keys(DURATION_BUCKETS).join(", ")}`);
+  }
+
+  return {
+    ...(range.min !== undefined && { $gte: range.min }),
+    ...(range.max !== undefined && { $lt: range.max }),
+  };
+};
+
+const parseDateParam = (value, name) => {
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `${name} must be a valid date`);
+  }
+
+  return date;
+};
+
+export {
+  MAX_VIDEO_TAGS,
+  DURATION_BUCKETS,
+  normalizeTag,
+  parseTags,
+  parseCategory,
+  durationMatch,
+  parseDateParam,
+};
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+import { VIDEO_VISIBILITY } from "../constants.js";
+import { can } from "./policy.js";
+
+/*
+  Video visibility rules, in two shapes: a check for one loaded video
+  and a $match filter for queries / aggregations over many.
+
+   - listings (getAllVideos, search ...) only ever show public videos
+   - anything reached through a direct reference (id, playlist, likes,
+     history) shows public + unlisted, private only to the owner and
+     the users it is shared with (admins see everything)
+*/
+
+const { PUBLIC, UNLISTED } = VIDEO_VISIBILITY;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id?._id ?? id);
+
+const canViewVideo = (user, video) => {
+  if (!video) return false;
+  if (video.visibility !== VIDEO_VISIBILITY.PRIVATE) return true;
+  if (can(user, "video:view", video)) return true;
+
+  const userId = user?._id?.toString();
+
+  return Boolean(userId) && (video.sharedWith || []).some(
+    (sharedUser) => (sharedUser?._id ?? sharedUser).toString() === userId
+  );
+};
+
+// for aggregations too, so ids are real ObjectIds
+const viewableVideoMatch = (user) => {
+  if (can(user, "video:view", {})) return {};
+
+  const match = [{ visibility: { $in: [PUBLIC, UNLISTED] } }];
+
+  if (user?._id) {
+    const userId = toObjectId(user._id);
+    match.push({ owner: userId }, { sharedWith: userId });
+  }
+
+  return { $or: match };
+};
+
+const listedVideoMatch = () => ({ visibility: PUBLIC });
+
+// stamps publishedAt the first time a video is ready and not private
+const markPublished = (video) => {
+  if (video.publishedAt) return;
+  if (video.processingStatus !== "ready") return;
+  if (video.visibility === VIDEO_VISIBILITY.PRIVATE) return;
+
+  video.publishedAt = new Date();
+};
+
+export {
+  canViewVideo,
+  viewableVideoMatch,
+  listedVideoMatch,
+  markPublished,
+};
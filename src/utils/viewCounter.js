@@ -0,0 +1,76 @@
+import { Video } from "../models/video.model.js";
+import { ViewEvent } from "../models/viewEvent.model.js";
+import { ViewWindow } from "../models/viewWindow.model.js";
+
+/*
+  Decides whether a reported view counts and applies it.
+
+  A view counts when the viewer
+   - isn't the owner and doesn't look like a bot,
+   - watched at least VIEW_MIN_WATCH_SECONDS (half the video for short ones),
+   - had no counted view of the same video within VIEW_DEDUPE_WINDOW_MINUTES.
+  Every report is stored as a ViewEvent either way.
+*/
+
+const VIEW_MIN_WATCH_SECONDS = Number(process.env.VIEW_MIN_WATCH_SECONDS) || 30;
+const VIEW_DEDUPE_WINDOW_MINUTES = Number(process.env.VIEW_DEDUPE_WINDOW_MINUTES) || 30;
+
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|headless|curl|wget|python-requests/i;
+
+const minWatchSecondsFor = (duration) =>
+  duration ? Math.min(VIEW_MIN_WATCH_SECONDS, Math.ceil(duration / 2)) : VIEW_MIN_WATCH_SECONDS;
+
+/*
+  Opens the dedupe window for viewer + video, false if one is still open.
+  Atomic: an open window makes the filter miss, the upsert then hits
+  the unique key and fails instead of counting twice.
+*/
+const claimViewWindow = async (videoId, userId) => {
+  const now = new Date();
+
+  try {
+    await ViewWindow.findOneAndUpdate(
+      { key: `${videoId}:${userId}`, expiresAt: { $lte: now } },
+      { $set: { expiresAt: new Date(now.getTime() + VIEW_DEDUPE_WINDOW_MINUTES * 60 * 1000) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const getViewReason = async ({ video, user, watchedSeconds, userAgent }) => {
+  if (video.owner?.toString() === user._id.toString()) return "owner";
+  if (userAgent && BOT_USER_AGENT.test(userAgent)) return "bot";
+  if (watchedSeconds < minWatchSecondsFor(video.duration)) return "too_short";
+  if (!(await claimViewWindow(video._id, user._id))) return "duplicate";
+  return "counted";
+};
+
+const recordView = async ({ video, user, sessionId, watchedSeconds, req }) => {
+  const userAgent = req.get("user-agent");
+
+  const reason = await getViewReason({ video, user, watchedSeconds, userAgent });
+  const counted = reason === "counted";
+
+  if (counted) {
+    await Video.updateOne({ _id: video._id }, { $inc: { views: 1 } });
+  }
+
+  await ViewEvent.create({
+    video: video._id,
+    viewer: user._id,
+    session: sessionId,
+    watchedSeconds,
+    counted,
+    reason,
+    ip: req.ip,
+    userAgent,
+  });
+
+  return { counted, reason };
+};
+
+export { VIEW_MIN_WATCH_SECONDS, VIEW_DEDUPE_WINDOW_MINUTES, minWatchSecondsFor, recordView };
@@ -0,0 +1,17 @@
+import { WatchHistory } from "../models/watchHistory.model.js";
+
+/*
+  Moves the video to the top of the user's history (or adds it),
+  nothing while the user has history paused.
+*/
+const recordWatchHistory = async (user, videoId) => {
+  if (user.watchHistoryPaused) return;
+
+  await WatchHistory.updateOne(
+    { user: user._id, video: videoId },
+    { $set: { lastWatchedAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+export { recordWatchHistory };
@@ -0,0 +1,27 @@
+import { WatchProgress } from "../models/watchProgress.model.js";
+
+// completed within this many seconds or 5% of the end (credits),
+// but never before 90% of the video
+const COMPLETION_TAIL_SECONDS = 15;
+// positions before this are not worth resuming
+const MIN_RESUME_SECONDS = 10;
+
+const isWatchCompleted = (position, duration) =>
+  Boolean(duration) &&
+  position >=
+    Math.max(duration * 0.9, Math.min(duration - COMPLETION_TAIL_SECONDS, duration * 0.95));
+
+// where the player should start for this user, 0 = from the beginning
+const getResumeAt = async (userId, videoId) => {
+  const progress = await WatchProgress.findOne({ user: userId, video: videoId })
+    .select("position completed")
+    .lean();
+
+  if (!progress || progress.completed || progress.position < MIN_RESUME_SECONDS) {
+    return 0;
+  }
+
+  return progress.position;
+};
+
+export { MIN_RESUME_SECONDS, isWatchCompleted, getResumeAt };